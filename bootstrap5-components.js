@@ -1,4 +1,9 @@
-function bs5_components_init(componentsManager) {
+/**
+ * Build the Bootstrap 5 components
+ * @param {ComponentsManager} componentsManager - The manager they're for
+ * @returns {Array<Component>} The components, in panel order
+ */
+function bs5_components(componentsManager) {
   const components = [
     // Button Component
     new Component({
@@ -6,11 +11,20 @@ function bs5_components_init(componentsManager) {
       name: "Button",
       icon: "",
       category: "Basic",
-      content: (props) => {
-        let buttonAttrs = `class="btn ${props.btnStyle} ${props.btnSize} ${props.btnState}"`;       
-        return `<button type="${props.btnType}" ${buttonAttrs}>Click me</button>`;
-      },
+      template: `<button type="{{btnType}}" class="btn {{btnStyle}} {{btnSize}} {{btnState}}" data-component-editable="label">{{label}}</button>`,
+      editable: { label: "text" },
+      version: 2,
+      migrations: [
+        // 1 -> 2: the text became an editable region
+        (element) => element.setAttribute("data-component-editable", "label"),
+      ],
       properties: {
+        label: {
+          type: "text",
+          label: "Label",
+          region: "label",
+          default: "Click me",
+        },
         btnType: {
           type: "select",
           label: "Button Type",
@@ -19,7 +33,8 @@ function bs5_components_init(componentsManager) {
             { value: "submit", label: "Submit" },
             { value: "reset", label: "Reset" }
           ],
-          default: "button"
+          default: "button",
+          bind: { type: "attribute", name: "type" }
         },
         btnStyle: {
           type: "select",
@@ -43,7 +58,8 @@ function bs5_components_init(componentsManager) {
             { value: "btn-outline-light", label: "Outline Light" },
             { value: "btn-outline-dark", label: "Outline Dark" }
           ],
-          default: "btn-primary"
+          default: "btn-primary",
+          bind: "class"
         },
         btnSize: {
           type: "select",
@@ -53,7 +69,8 @@ function bs5_components_init(componentsManager) {
             { value: "btn-lg", label: "Large" },
             { value: "btn-sm", label: "Small" }
           ],
-          default: ""
+          default: "",
+          bind: "class"
         },
         btnState: {
           type: "select",
@@ -66,16 +83,9 @@ function bs5_components_init(componentsManager) {
           default: ""
         },
       },
-      onUpdate: function (propName, value, element, prop) {
-        if (propName === "btnStyle") {
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => element.classList.remove(option));
-          if (value) element.classList.add(value);
-        } else if (propName === "btnSize") {
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? element.classList.remove(option) : null);
-          if (value) element.classList.add(value);
-        } else if (propName === "btnState") {
+      apiVersion: 2,
+      onUpdate: function ({ propName, newValue: value, element }) {
+        if (propName === "btnState") {
           element.classList.remove("active", "disabled");
           if (value === "disabled") {
             element.disabled = true;
@@ -86,8 +96,6 @@ function bs5_components_init(componentsManager) {
             element.disabled = false;
             element.removeAttribute("aria-pressed");
           }
-        } else if (propName === "btnType") {
-          element.type = value;
         }
       },
     }),
@@ -118,9 +126,13 @@ function bs5_components_init(componentsManager) {
       name: "Alert",
       icon: "⚠️",
       category: "Basic",
-      content: (props) => {
-        return `<div class="alert ${props.alertStyle}">This is a ${props.alertStyle} alert—check it out!</div>`;
-      },
+      template: `<div class="alert {{alertStyle}}" data-component-editable="text">This is a {{alertStyle}} alert—check it out!</div>`,
+      editable: { text: "inline" },
+      version: 2,
+      migrations: [
+        // 1 -> 2: the text became an editable region
+        (element) => element.setAttribute("data-component-editable", "text"),
+      ],
       properties: {
         alertStyle: {
           type: "select",
@@ -136,15 +148,9 @@ function bs5_components_init(componentsManager) {
             { value: "alert-dark", label: "Dark" },
           ],
           default: "alert-primary",
+          bind: "class",
         },
       },
-      onUpdate: function (propName, value, element, prop) {
-        if (propName === "alertStyle") {
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => element.classList.remove(option));
-          element.classList.add(value);
-        }
-      },
     }),
     // Badges Component
     new Component({
@@ -152,10 +158,20 @@ function bs5_components_init(componentsManager) {
       name: "Badge",
       icon: "🔖",
       category: "Basic",
-      content: (props) => {
-        return `<span class="badge ${props.badgeStyle} ${props.badgeShape}">New</span>`;
-      },
+      template: `<span class="badge {{badgeStyle}} {{badgeShape}}" data-component-editable="label">{{label}}</span>`,
+      editable: { label: "text" },
+      version: 2,
+      migrations: [
+        // 1 -> 2: the text became an editable region
+        (element) => element.setAttribute("data-component-editable", "label"),
+      ],
       properties: {
+        label: {
+          type: "text",
+          label: "Label",
+          region: "label",
+          default: "New",
+        },
         badgeStyle: {
           type: "select",
           label: "Badge Style",
@@ -170,6 +186,7 @@ function bs5_components_init(componentsManager) {
             { value: "bg-dark", label: "Dark" },
           ],
           default: "bg-primary",
+          bind: "class",
         },
         badgeShape: {
           type: "select",
@@ -179,21 +196,9 @@ function bs5_components_init(componentsManager) {
             { value: "", label: "Default" },
           ],
           default: "",
+          bind: "class",
         },
       },
-      onUpdate: function (propName, value, element, prop) {
-        if (propName === "badgeStyle") {
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => element.classList.remove(option));
-          element.classList.add(value);
-        } else if (propName === "badgeShape") {
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) =>
-            option ? element.classList.remove(option) : null
-          );
-          element.classList.add(value);
-        }
-      },
     }),
     // Card Component
     new Component({
@@ -204,29 +209,31 @@ function bs5_components_init(componentsManager) {
       content: (props) => {
         return `<div class="card">
             <img src="..." class="card-img-top" alt="Alt Image">
-            <div class="card-header" data-component-children="header">
-                Card Header
-            </div>
+            <div class="card-header" data-component-editable="header">Card Header</div>
             <div class="card-body" data-component-children="body">
                 This is some content in the card body.
             </div>
-            <div class="card-footer" data-component-children="footer">
-                Card Footer
-            </div>
+            <div class="card-footer" data-component-editable="footer">Card Footer</div>
         </div>`;
       },
-      children: {
-        "header": {
-          "id": "card-header",
-          "count": 1
+      editable: { header: "inline", footer: "inline" },
+      version: 2,
+      migrations: [
+        // 1 -> 2: header and footer became editable regions, the body stays
+        // a slot for nested components
+        (element) => {
+          ["header", "footer"].forEach((name) => {
+            const part = element.querySelector(`.card-${name}`);
+            if (!part || part.querySelector("[data-component]")) return;
+            part.removeAttribute("data-component-children");
+            part.setAttribute("data-component-editable", name);
+          });
         },
+      ],
+      children: {
         "body": {
           "id": "card-body",
           "count": 1
-        },
-        "footer": {
-          "id": "card-footer",
-          "count": 1
         }
       },
     }),
@@ -236,16 +243,14 @@ function bs5_components_init(componentsManager) {
       name: "Dropdown",
       icon: "",
       category: "Basic",
-      content: (props) => {
-        return `<div class="dropdown">
-            <button class="btn ${props.btnStyle} ${props.btnSize} dropdown-toggle" type="button" data-bs-toggle="dropdown" aria-expanded="false">
+      template: `<div class="dropdown">
+            <button class="btn {{btnStyle}} {{btnSize}} dropdown-toggle" type="button" data-bs-toggle="dropdown" aria-expanded="false">
                 Dropdown button
             </button>
-            <div class="dropdown-menu" data-component-children="default">
+            <div class="dropdown-menu" {{slot}}>
               <!-- Children -->
             </div>
-        </div>`;
-      },
+        </div>`,
       allowed: {
         "default": "dropdown-item"
       },
@@ -273,6 +278,7 @@ function bs5_components_init(componentsManager) {
             { value: "btn-outline-dark", label: "Outline Dark" },
           ],
           default: "btn-primary",
+          bind: { type: "class", selector: ".dropdown-toggle" },
         },
         btnSize: {
           type: "select",
@@ -283,21 +289,9 @@ function bs5_components_init(componentsManager) {
             { value: "btn-sm", label: "Small" },
           ],
           default: "",
+          bind: { type: "class", selector: ".dropdown-toggle" },
         },
       },
-      onUpdate: function (propName, value, element, prop) {
-        if (propName === "btnStyle") {
-          const button = element.querySelector("button");
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => button.classList.remove(option));
-          button.classList.add(value);
-        } else if (propName === "btnSize") {
-          const button = element.querySelector("button");
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? element.classList.remove(option) : null);
-          button.classList.add(value);
-        }
-      },
     }),
     // Dropdown Item Component
     new Component({
@@ -305,6 +299,7 @@ function bs5_components_init(componentsManager) {
       name: "Dropdown Item",
       icon: "",
       category: "Basic",
+      hidden: true,
       content: (props) => {
         return `<a class="dropdown-item" href="#">Action</a>`;
       },
@@ -339,9 +334,7 @@ function bs5_components_init(componentsManager) {
       name: "List Group Item",
       icon: "",
       category: "Basic",
-      content: (props) => {
-        return `<li class="list-group-item ${props.listGroupItemStyle}">Item</li>`;
-      },  
+      template: `<li class="list-group-item {{listGroupItemStyle}}">Item</li>`,
       properties: {
         listGroupItemStyle: {
           type: "select",
@@ -359,15 +352,9 @@ function bs5_components_init(componentsManager) {
             { value: "list-group-item-dark", label: "Dark" },
           ],
           default: "",
+          bind: "class",
         },
       },
-      onUpdate: function (propName, value, element, prop) {
-        if (propName === "listGroupItemStyle") {
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? element.classList.remove(option) : null);
-          element.classList.add(value);
-        }
-      },
       restriction: (parent) => {
         return parent.classList.contains("list-group");
       }
@@ -378,17 +365,16 @@ function bs5_components_init(componentsManager) {
       name: "Modal",
       icon: "",
       category: "Basic",
-      content: (props) => {
-        return `<div class="d-inline-block">
-          <button type="button" class="btn ${props.btnStyle}" data-bs-toggle="modal" data-bs-target="#${props.id}">Launch demo modal</button>
-          <div class="modal fade" id="${props.id}" tabindex="-1" aria-hidden="true">
-            <div class="modal-dialog ${props.modalDialogSize}">
+      template: `<div class="d-inline-block">
+          <button type="button" class="btn {{btnStyle}}" data-bs-toggle="modal" data-bs-target="#{{id "modal"}}">Launch demo modal</button>
+          <div class="modal fade" id="{{id "modal"}}" tabindex="-1" aria-hidden="true">
+            <div class="modal-dialog {{modalDialogSize}}">
               <div class="modal-content">
                 <div class="modal-header">
                   <h1 class="modal-title fs-5">Modal title</h1>
                   <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
                 </div>
-                <div class="modal-body" data-component-children="body">
+                <div class="modal-body" {{slot "body"}}>
                   <!-- Children -->
                 </div>
                 <div class="modal-footer">
@@ -398,8 +384,7 @@ function bs5_components_init(componentsManager) {
               </div>
             </div>
           </div>
-        </div>`;
-      },
+        </div>`,
       properties: {
         btnStyle: {
           type: "select",
@@ -424,6 +409,7 @@ function bs5_components_init(componentsManager) {
             { value: "btn-outline-dark", label: "Outline Dark" },
           ],
           default: "btn-primary",
+          bind: { type: "class", selector: "[data-bs-toggle=\"modal\"]" },
         },
         modalDialogSize: {
           type: "select",
@@ -434,26 +420,9 @@ function bs5_components_init(componentsManager) {
             { value: "modal-dialog-sm", label: "Small" },
           ],
           default: "",
+          bind: { type: "class", selector: "div.modal-dialog" },
         },
       },
-      onUpdate: function (propName, value, element, prop) {
-        if (propName === "modalDialogSize") {
-          const modalDialog = element.querySelector("div.modal-dialog");
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? modalDialog.classList.remove(option) : null);
-          modalDialog.classList.add(value);
-        } else if (propName === "btnStyle") {
-          const button = element.querySelector("button");
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? button.classList.remove(option) : null);
-          button.classList.add(value);
-        }
-      },
-      onInsert: function (editor, element) {
-        const id = "modal" + Math.floor(Math.random() * 1000);
-        element.querySelector("button").setAttribute("data-bs-target", "#" + id);
-        element.querySelector("div.modal").id = id;
-      },
     }),
     // Offcanvas Component
     new Component({
@@ -461,20 +430,18 @@ function bs5_components_init(componentsManager) {
       name: "Offcanvas",
       icon: "",
       category: "Basic",
-      content: (props) => {
-        return `<div class="d-inline-block">
-          <button type="button" class="btn ${props.btnStyle}" data-bs-toggle="offcanvas" data-bs-target="#${props.id}">Launch demo offcanvas</button>
-          <div class="offcanvas ${props.offcanvasDirection}" id="${props.id}" tabindex="-1" aria-hidden="true">
+      template: `<div class="d-inline-block">
+          <button type="button" class="btn {{btnStyle}}" data-bs-toggle="offcanvas" data-bs-target="#{{id "offcanvas"}}">Launch demo offcanvas</button>
+          <div class="offcanvas {{offcanvasDirection}}" id="{{id "offcanvas"}}" tabindex="-1" aria-hidden="true">
             <div class="offcanvas-header">
               <h5 class="offcanvas-title">Offcanvas</h5>
               <button type="button" class="btn-close" data-bs-dismiss="offcanvas" aria-label="Close"></button>
             </div>
-            <div class="offcanvas-body" data-component-children="default">
+            <div class="offcanvas-body" {{slot}}>
               <!-- Children -->
             </div>
           </div>
-        </div>`;
-      },
+        </div>`,
       properties: {
         btnStyle: {
           type: "select",
@@ -499,6 +466,7 @@ function bs5_components_init(componentsManager) {
             { value: "btn-outline-dark", label: "Outline Dark" },
           ],
           default: "btn-primary",
+          bind: { type: "class", selector: "[data-bs-toggle=\"offcanvas\"]" },
         },
         offcanvasDirection: {
           type: "select",
@@ -510,26 +478,9 @@ function bs5_components_init(componentsManager) {
             { value: "offcanvas-bottom", label: "Bottom" },
           ],
           default: "offcanvas-start",
+          bind: { type: "class", selector: "div.offcanvas" },
         },
       },
-      onUpdate: function (propName, value, element, prop) {
-        if (propName === "btnStyle") {
-          const button = element.querySelector("button");
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? button.classList.remove(option) : null);
-          button.classList.add(value);
-        } else if (propName === "offcanvasDirection") {
-          const offcanvas = element.querySelector("div.offcanvas");
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? offcanvas.classList.remove(option) : null);
-          offcanvas.classList.add(value);
-        }
-      },
-      onInsert: function (editor, element) {
-        const id = "offcanvas" + Math.floor(Math.random() * 1000);
-        element.querySelector("button").setAttribute("data-bs-target", "#" + id);
-        element.querySelector("div.offcanvas").setAttribute("id", id);
-      },
     }),
     // Row Component
     new Component({
@@ -551,6 +502,7 @@ function bs5_components_init(componentsManager) {
       allowed: {
         "default": "col"
       },
+      protection: "structure",
       editorStyle: `
         .row {
           border:1px dashed #ccc;
@@ -565,11 +517,10 @@ function bs5_components_init(componentsManager) {
       name: "Column",
       icon: "",
       category: "Layout",
-      content: (props) => {
-        return `<div class="${props.colSize} ${props.colSmSize} ${props.colMdSize} ${props.colLgSize} ${props.colXlSize}" data-component-children="default">
+      hidden: true,
+      template: `<div class="{{colSize}} {{colSmSize}} {{colMdSize}} {{colLgSize}} {{colXlSize}}" {{slot}}>
           <p>Column</p>
-        </div>`;
-      },
+        </div>`,
       editorStyle: `
         .col-1, .col-2, .col-3, .col-4, .col-5, .col-6, .col-7, .col-8, .col-9, .col-10, .col-11, .col-12 {
           border:1px dashed #ccc;
@@ -615,6 +566,7 @@ function bs5_components_init(componentsManager) {
             { value: "col-12", label: "12" },
           ],
           default: "col-4",
+          bind: "class",
         },
         colSmSize: {
           type: "select",
@@ -635,6 +587,7 @@ function bs5_components_init(componentsManager) {
             { value: "col-sm-12", label: "12" },
           ],
           default: "col-sm-4",
+          bind: "class",
         },
         colMdSize: {
           type: "select",
@@ -655,6 +608,7 @@ function bs5_components_init(componentsManager) {
             { value: "col-md-12", label: "12" },
           ],
           default: "col-md-4",
+          bind: "class",
         },
         colLgSize: {
           type: "select",
@@ -675,6 +629,7 @@ function bs5_components_init(componentsManager) {
             { value: "col-lg-12", label: "12" },
           ],
           default: "col-lg-4",
+          bind: "class",
         },
         colXlSize: {
           type: "select",
@@ -695,31 +650,9 @@ function bs5_components_init(componentsManager) {
             { value: "col-xl-12", label: "12" },
           ],
           default: "col-xl-4",
+          bind: "class",
         },
       },
-      onUpdate: function (propName, value, element, prop) {
-        if (propName === "colSize") {
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? element.classList.remove(option) : null);
-          element.classList.add(value);
-        } else if (propName === "colSmSize") {
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? element.classList.remove(option) : null);
-          element.classList.add(value);
-        } else if (propName === "colMdSize") {
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? element.classList.remove(option) : null);
-          element.classList.add(value);
-        } else if (propName === "colLgSize") {
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? element.classList.remove(option) : null);
-          element.classList.add(value);
-        } else if (propName === "colXlSize") {
-          const toRemove = prop.options.map((option) => option.value);
-          toRemove.forEach((option) => option ? element.classList.remove(option) : null);
-          element.classList.add(value);
-        }
-      },
       restriction: function (parent) {
         return parent.classList.contains("row");
       },
@@ -730,16 +663,14 @@ function bs5_components_init(componentsManager) {
       name: "Tab",
       icon: "",
       category: "Basic",
-      content: (props) => {
-        return `<div>
-          <ul class="nav nav-tabs" role="tablist" data-component-children="tabs">
+      template: `<div>
+          <ul class="nav nav-tabs" role="tablist" {{slot "tabs"}}>
             <!-- Children -->
           </ul>
-          <div class="tab-content" data-component-children="tab-content">
+          <div class="tab-content" {{slot "tab-content"}}>
             <!-- Children -->
           </div>
-        </div>`;
-      },
+        </div>`,
       children: {
         "tabs": {
           "id": "tab-item",
@@ -754,22 +685,19 @@ function bs5_components_init(componentsManager) {
         "tabs": "tab-item",
         "tab-content": "tab-content-item"
       },
+      protection: "structure",
+      rules: {
+        slots: {
+          "tabs": { min: 1 },
+          "tab-content": { min: 1 }
+        }
+      },
       editorStyle: `
         .nav-tabs, .tab-content {
           border:1px dashed #ccc;
           min-height: 50px;
         }
       `,
-      onInsert: function (editor,element, component) {
-        const tabs = element.querySelectorAll('.nav-link');
-        const tabContents = element.querySelectorAll('.tab-pane');
-
-        for(let i = 0; i < tabs.length; i++) {
-          const id = 'tab-' + Math.random().toString(36).substring(2, 10);
-          tabs[i].setAttribute('data-bs-target', '#' + id);
-          tabContents[i].id = id;
-        }
-      }
     }),
     // Tab Item Component
     new Component({
@@ -777,10 +705,7 @@ function bs5_components_init(componentsManager) {
       name: "Tab Item",
       icon: "",
       category: "Basic",
-      content: (props) => {
-        const id = 'tab-' + Math.random().toString(36).substring(2, 10);
-        return `<li><button class="nav-link" data-bs-toggle="tab" data-bs-target="#${id}" type="button" role="tab">Tab Item</button></li>`;
-      },
+      template: `<li><button class="nav-link" data-bs-toggle="tab" data-bs-target="#{{id "tab"}}" type="button" role="tab">Tab Item</button></li>`,
       properties:{
         tabContentId: {
           type: "text",
@@ -791,11 +716,23 @@ function bs5_components_init(componentsManager) {
       restriction: (parent) => {
         return parent.classList.contains("nav") && parent.classList.contains("nav-tabs");
       },
-      onUpdate: function (propName, value, element, prop) {
+      apiVersion: 2,
+      onUpdate: function ({ propName, newValue: value, element }) {
         if (propName === "tabContentId") {
           element.setAttribute("data-bs-target", value);
         }
       },
+      onRemove: function (editor, element) {
+        // Remove the pane this tab opens
+        const link = element.querySelector("[data-bs-target]");
+        const target = link && link.getAttribute("data-bs-target");
+        if (!target || !target.startsWith("#")) return;
+
+        const pane = editor.getDoc().getElementById(target.slice(1));
+        if (pane && pane.getAttribute("data-component") === "tab-content-item") {
+          pane.remove();
+        }
+      },
     }),
     // Tab Content Item Component
     new Component({
@@ -803,13 +740,33 @@ function bs5_components_init(componentsManager) {
       name: "Tab Content Item",
       icon: "",
       category: "Basic",
-      content: (props) => { 
-        const id = 'tab-' + Math.random().toString(36).substring(2, 10);
-        return `<div class="tab-pane fade" id="${id}" role="tabpanel" tabindex="0">Tab Content</div>`;
+      hidden: true,
+      content: (props, ctx) => {
+        // Take the target of the tab at the same position in the parent
+        const tabs = ctx.parent && ctx.parent.element.querySelector('[data-component-children="tabs"]');
+        const link = tabs && Array.from(tabs.children)
+          .filter((tab) => tab.getAttribute('data-component') === 'tab-item')
+          .map((tab) => tab.querySelector('[data-bs-target^="#"]'))[ctx.index];
+        const target = link && link.getAttribute('data-bs-target').slice(1);
+        const id = target && !ctx.parent.element.querySelector(`[id="${target}"]`)
+          ? target
+          : ctx.ids.generate('tab');
+        return `<div class="tab-pane fade" id="${ComponentTemplate.escape(id)}" role="tabpanel" tabindex="0">Tab Content</div>`;
       },
       restriction: (parent) => {
         return parent.classList.contains("tab-content");
-      }
+      },
+      onRemove: function (editor, element) {
+        // Remove the tab opening this pane
+        if (!element.id) return;
+        editor
+          .getDoc()
+          .querySelectorAll(`[data-bs-target="#${element.id}"]`)
+          .forEach((link) => {
+            const tab = link.closest('[data-component="tab-item"]');
+            if (tab) tab.remove();
+          });
+      },
     }),
     // Accordion Component
     new Component({
@@ -817,13 +774,9 @@ function bs5_components_init(componentsManager) {
       name: "Accordion",
       icon: "",
       category: "Basic",
-      content: (props) => {
-        const id = 'accordion-' + Math.random().toString(36).substring(2, 10);
-        
-        return `<div class="accordion" role="tablist" data-component-children="default" id="${id}">
+      template: `<div class="accordion" role="tablist" {{slot}} id="{{id "accordion"}}">
           <!-- Children -->
-        </div>`;
-      },
+        </div>`,
       children: {
         "default": {
           "id": "accordion-item",
@@ -833,6 +786,11 @@ function bs5_components_init(componentsManager) {
       allowed: {
         "default": "accordion-item"
       },
+      rules: {
+        slots: {
+          "default": { min: 1 }
+        }
+      },
       editorStyle: `
         .accordion {
           border:1px dashed #ccc;
@@ -851,35 +809,48 @@ function bs5_components_init(componentsManager) {
       name: "Accordion Item",
       icon: "",
       category: "Basic",
-      content: (props) => {
-        const id = 'accordion-item-' + Math.random().toString(36).substring(2, 10);
+      content: (props, ctx) => {
+        const id = ComponentTemplate.escape(ctx.ids.generate('accordion-item'));
+        const parentId = ctx.parent && ComponentTemplate.escape(ctx.parent.element.id);
 
         return `<div class="accordion-item">
           <h2 class="accordion-header">
-            <button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#${id}">
+            <button class="accordion-button" type="button" data-bs-toggle="collapse" data-bs-target="#${id}" data-component-editable="title">
               Accordion Item
             </button>
           </h2>
-          <div id="${id}" class="accordion-collapse collapse" aria-labelledby="${id}">
-            <div class="accordion-body">
+          <div id="${id}" class="accordion-collapse collapse" aria-labelledby="${id}"${parentId ? ` data-bs-parent="#${parentId}"` : ''}>
+            <div class="accordion-body" data-component-editable="body">
               This here
             </div>
           </div>
         </div>`;
       },
+      editable: { title: "text", body: "block" },
+      protection: "structure",
+      version: 2,
+      migrations: [
+        // 1 -> 2: header text and body became editable regions
+        (element) => {
+          const title = element.querySelector(".accordion-button");
+          const body = element.querySelector(".accordion-body");
+          if (title) title.setAttribute("data-component-editable", "title");
+          if (body) body.setAttribute("data-component-editable", "body");
+        },
+      ],
       restriction: (parent) => {
         return parent.classList.contains("accordion");
       },
-      onInsert: function (editor, element, component) {
-        const accordion = element.closest(".accordion");
-        const accordionCollapse = element.querySelector(".accordion-collapse");
-        accordionCollapse.setAttribute("data-bs-parent", "#" + accordion.id);
-      }
     })
   ];
 
-  components.forEach((component) => {
-    componentsManager.register(component);
+  // Column props of the preset rows: a single medium breakpoint size
+  const colProps = (colMdSize) => ({
+    colSize: "",
+    colSmSize: "",
+    colMdSize,
+    colLgSize: "",
+    colXlSize: "",
   });
 
   const complexComponents = [
@@ -897,24 +868,14 @@ function bs5_components_init(componentsManager) {
       children: {
         "default": {
           "id": "col",
-          "count": 2
+          "count": 2,
+          "props": colProps("col-md-6")
         }
       },
       allowed: {
         "default": "col"
       },
-      onInsert: function (editor, element, component) {
-        const cols = element.children;
-        for (let i = 0; i < cols.length; i++) {
-          cols[i].classList.remove(...Array.from(cols[i].classList));
-          cols[i].setAttribute("data-prop-colsize", "");
-          cols[i].setAttribute("data-prop-colsmsize", "");
-          cols[i].setAttribute("data-prop-colmdsize", "col-md-6");
-          cols[i].setAttribute("data-prop-collgsize", "");
-          cols[i].setAttribute("data-prop-colxlsize", "");
-          cols[i].classList.add("col-md-6");
-        }
-      }
+      protection: "structure",
     }),
     // Row with three columns
     new Component({
@@ -930,24 +891,14 @@ function bs5_components_init(componentsManager) {
       children: {
         "default": {
           "id": "col",
-          "count": 3
+          "count": 3,
+          "props": colProps("col-md-4")
         }
       },
       allowed: {
         "default": "col"
       },
-      onInsert: function (editor, element, component) {
-        const cols = element.children;
-        for (let i = 0; i < cols.length; i++) {
-          cols[i].classList.remove(...Array.from(cols[i].classList));
-          cols[i].setAttribute("data-prop-colsize", "");
-          cols[i].setAttribute("data-prop-colsmsize", "");
-          cols[i].setAttribute("data-prop-colmdsize", "col-md-4");
-          cols[i].setAttribute("data-prop-collgsize", "");
-          cols[i].setAttribute("data-prop-colxlsize", "");
-          cols[i].classList.add("col-md-4");
-        }
-      }
+      protection: "structure",
     }),
     // Row with four columns
     new Component({
@@ -963,24 +914,14 @@ function bs5_components_init(componentsManager) {
       children: {
         "default": {
           "id": "col",
-          "count": 4
+          "count": 4,
+          "props": colProps("col-md-3")
         }
       },
       allowed: {
         "default": "col"
       },
-      onInsert: function (editor, element, component) {
-        const cols = element.children;
-        for (let i = 0; i < cols.length; i++) {
-          cols[i].classList.remove(...Array.from(cols[i].classList));
-          cols[i].setAttribute("data-prop-colsize", "");
-          cols[i].setAttribute("data-prop-colsmsize", "");
-          cols[i].setAttribute("data-prop-colmdsize", "col-md-3");
-          cols[i].setAttribute("data-prop-collgsize", "");
-          cols[i].setAttribute("data-prop-colxlsize", "");
-          cols[i].classList.add("col-md-3");
-        }
-      }
+      protection: "structure",
     }),
     // Row with 1+2 columns
     new Component({
@@ -994,31 +935,15 @@ function bs5_components_init(componentsManager) {
         </div>`;
       },
       children: {
-        "default": {
-          "id": "col",
-          "count": 2
-        }
+        "default": [
+          { "id": "col", "count": 1, "props": colProps("col-md-4") },
+          { "id": "col", "count": 1, "props": colProps("col-md-8") }
+        ]
       },
       allowed: {
         "default": "col"
       },
-      onInsert: function (editor, element, component) {
-        const cols = element.children;
-        cols[0].classList.remove(...Array.from(cols[0].classList));
-        cols[1].classList.remove(...Array.from(cols[1].classList));
-        cols[0].setAttribute("data-prop-colsize", "");
-        cols[0].setAttribute("data-prop-colsmsize", "");
-        cols[0].setAttribute("data-prop-colmdsize", "col-md-4");
-        cols[0].setAttribute("data-prop-collgsize", "");
-        cols[0].setAttribute("data-prop-colxlsize", "");
-        cols[1].setAttribute("data-prop-colsize", "");
-        cols[1].setAttribute("data-prop-colsmsize", "");
-        cols[1].setAttribute("data-prop-colmdsize", "col-md-8");
-        cols[1].setAttribute("data-prop-collgsize", "");
-        cols[1].setAttribute("data-prop-colxlsize", "");
-        cols[0].classList.add("col-md-4");
-        cols[1].classList.add("col-md-8");
-      }
+      protection: "structure",
     }),
     // Row with 2+1 columns
     new Component({
@@ -1032,35 +957,50 @@ function bs5_components_init(componentsManager) {
         </div>`;
       },
       children: {
-        "default": {
-          "id": "col",
-          "count": 2
-        }
+        "default": [
+          { "id": "col", "count": 1, "props": colProps("col-md-8") },
+          { "id": "col", "count": 1, "props": colProps("col-md-4") }
+        ]
       },
       allowed: {
         "default": "col"
       },
-      onInsert: function (editor, element, component) {
-        const cols = element.children;
-        cols[0].classList.remove(...Array.from(cols[0].classList));
-        cols[1].classList.remove(...Array.from(cols[1].classList));
-        cols[0].setAttribute("data-prop-colsize", "");
-        cols[0].setAttribute("data-prop-colsmsize", "");
-        cols[0].setAttribute("data-prop-colmdsize", "col-md-8");
-        cols[0].setAttribute("data-prop-collgsize", "");
-        cols[0].setAttribute("data-prop-colxlsize", "");
-        cols[1].setAttribute("data-prop-colsize", "");
-        cols[1].setAttribute("data-prop-colsmsize", "");
-        cols[1].setAttribute("data-prop-colmdsize", "col-md-4");
-        cols[1].setAttribute("data-prop-collgsize", "");
-        cols[1].setAttribute("data-prop-colxlsize", "");
-        cols[0].classList.add("col-md-8");
-        cols[1].classList.add("col-md-4");
-      }
+      protection: "structure",
     }),
   ];
 
-  complexComponents.forEach((component) => {
-    componentsManager.register(component);
-  });
+  return [...components, ...complexComponents];
+}
+
+/**
+ * The Bootstrap 5 pack
+ * The editor needs Bootstrap's CSS (the editor's `content_css`) and its
+ * bundle for the interactive components.
+ */
+const bs5_components_pack = {
+  name: "bootstrap5",
+  version: "1.0.0",
+  editor: {
+    js: [
+      "https://cdn.jsdelivr.net/npm/bootstrap@5.3.7/dist/js/bootstrap.bundle.min.js",
+    ],
+  },
+  components: (componentsManager) => bs5_components(componentsManager),
+};
+
+/**
+ * Load the Bootstrap 5 pack
+ * @param {ComponentsManager} componentsManager - The manager
+ * @returns {Promise<Object>} The pack's record, see ComponentsManager#use
+ */
+function bs5_components_init(componentsManager) {
+  return componentsManager.use(bs5_components_pack);
+}
+
+// Export for CommonJS and browser environments
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { bs5_components, bs5_components_pack, bs5_components_init };
+} else if (typeof window !== "undefined") {
+  window.bs5_components_pack = bs5_components_pack;
+  window.bs5_components_init = bs5_components_init;
 }
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Handle on a component instance in the editor
+ * Returned by `manager.insert()`, `manager.getInstance()` and
+ * `manager.findInstances()`. The element is looked up by instance ID on
+ * every call, so a handle stays valid across undo/redo.
+ */
+class ComponentInstance {
+  /**
+   * Create a handle for an instance
+   * @param {ComponentsManager} manager - The manager owning the instance
+   * @param {string} instanceId - The instance's `data-instance-id`
+   */
+  constructor(manager, instanceId) {
+    this.manager = manager;
+    this.id = instanceId;
+  }
+
+  /**
+   * The instance's root element, null once it has been removed
+   * @type {HTMLElement|null}
+   */
+  get element() {
+    return this.manager._findInstanceElement(this.id);
+  }
+
+  /**
+   * The component definition
+   * @type {Component|null}
+   */
+  get component() {
+    const element = this.element;
+    return element
+      ? this.manager.getComponent(element.getAttribute("data-component"))
+      : null;
+  }
+
+  /**
+   * Read one property, or all of them
+   * @param {string} [propName] - The property name
+   * @returns {*} The property value, or an object with every property
+   */
+  get(propName) {
+    const props = this.manager.getProperties(this.element) || {};
+    return propName === undefined ? props : props[propName];
+  }
+
+  /**
+   * Change one or more properties
+   * @param {string|Object} propName - The property name, or a map of names to values
+   * @param {*} [value] - The new value
+   * @returns {ComponentInstance} This handle, for chaining
+   */
+  set(propName, value) {
+    const changes =
+      typeof propName === "string" ? { [propName]: value } : propName || {};
+    const element = this.element;
+    const component = this.component;
+    if (!component) return this;
+
+    // Several properties still form a single undo level
+    this.manager.transact(`${component.name}: set properties`, () => {
+      Object.entries(changes).forEach(([name, newValue]) => {
+        this.manager.setProperty(element, name, newValue);
+      });
+    });
+    return this;
+  }
+
+  /**
+   * Remove the instance from the editor
+   * @returns {boolean} Whether the instance was removed
+   */
+  remove() {
+    return this.manager.removeInstance(this.element);
+  }
+
+  /**
+   * Move the instance
+   * @param {Object} options - Same placement options as `manager.insert()`:
+   *   `at`, `slot` and `index`
+   * @returns {boolean} Whether the instance was moved
+   */
+  move(options = {}) {
+    return this.manager.moveInstance(this.element, options);
+  }
+
+  /**
+   * Insert a copy of the instance right after it
+   * @returns {ComponentInstance|null} The copy, or null when it can't be placed there
+   */
+  duplicate() {
+    const copy = this.manager.duplicate(this.element);
+    return copy
+      ? this.manager.getInstance(copy.getAttribute("data-instance-id"))
+      : null;
+  }
+
+  /**
+   * Get the component instances directly inside this instance's slots
+   * @param {string} [slot] - Only return the children of this slot
+   * @returns {Array<ComponentInstance>} The child instances
+   */
+  children(slot) {
+    const element = this.element;
+    if (!element) return [];
+
+    const rules = this.manager.nestingRules;
+    const result = [];
+
+    this.manager._getSlots(element).forEach((slotElement) => {
+      const name = slotElement.getAttribute("data-component-children");
+      if (slot !== undefined && name !== slot) return;
+
+      // Skip instances nested in the slots of child components
+      slotElement.querySelectorAll("[data-component]").forEach((child) => {
+        const owner = rules.resolveSlot(child.parentElement);
+        if (owner && owner.element === slotElement) {
+          result.push(
+            this.manager.getInstance(child.getAttribute("data-instance-id"))
+          );
+        }
+      });
+    });
+
+    return result.filter(Boolean);
+  }
+}
+
+// Export for CommonJS and browser environments
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ComponentInstance };
+} else if (typeof window !== "undefined") {
+  window.ComponentInstance = ComponentInstance;
+}
@@ -1,13 +1,184 @@
+/**
+ * Event passed to a component's onUpdate (apiVersion 2)
+ * @typedef {Object} ComponentUpdateEvent
+ * @property {Object} editor - TinyMCE editor instance
+ * @property {HTMLElement} element - The component root element
+ * @property {Component} component - The component definition
+ * @property {ComponentsManager} manager - The components manager
+ * @property {string} propName - Name of the changed property
+ * @property {Object} prop - Definition of the changed property
+ * @property {*} oldValue - Value before the change
+ * @property {*} newValue - Value after the change
+ * @property {Object} props - All current property values
+ */
+
 /**
  * Components Manager for TinyMCE
  * Manages components and property panels in the editor
  */
 class ComponentsManager {
+  /**
+   * Adapters calling the onUpdate of components declaring an older
+   * apiVersion, keyed by that version
+   */
+  static updateAdapters = {
+    // v1: onUpdate(propName, value, element, prop)
+    1: (onUpdate, event) =>
+      onUpdate(event.propName, event.newValue, event.element, event.prop),
+    // v1 as documented: onUpdate(editor, element, props)
+    "1-editor": (onUpdate, event) =>
+      onUpdate(event.editor, event.element, event.props),
+  };
+
+  /**
+   * Format version of the tree produced by toJSON()
+   */
+  static TREE_VERSION = 1;
+
+  /**
+   * Clipboard type carrying copied components as a toJSON() tree
+   */
+  static CLIPBOARD_TYPE = "application/x-components+json";
+
+  /**
+   * Number of recently used components kept for the components panel
+   */
+  static RECENT_LIMIT = 8;
+
+  /**
+   * Layouts of the categories in the components panel
+   */
+  static PANEL_LAYOUTS = ["tabs", "accordion"];
+
+  /**
+   * Protection levels of components, see Component `protection`
+   */
+  static PROTECTION_LEVELS = ["free", "structure", "locked"];
+
+  /**
+   * Editor commands that can change the structure of protected components
+   */
+  static STRUCTURE_COMMANDS = [
+    "cut",
+    "delete",
+    "formatblock",
+    "forwarddelete",
+    "indent",
+    "inserthorizontalrule",
+    "insertorderedlist",
+    "insertparagraph",
+    "insertunorderedlist",
+    "mceblockquote",
+    "mceinsertclipboardcontent",
+    "mceinsertcontent",
+    "mceinsertnewline",
+    "mceinsertrawhtml",
+    "mceinserttable",
+    "mcereplacecontent",
+    "outdent",
+  ];
+
+  /**
+   * Editing modes of `data-component-editable` regions
+   */
+  static REGION_MODES = ["text", "inline", "block"];
+
+  /**
+   * Elements an inline region can't hold
+   */
+  static BLOCK_ELEMENTS = [
+    "ADDRESS",
+    "ARTICLE",
+    "ASIDE",
+    "BLOCKQUOTE",
+    "DIV",
+    "DL",
+    "FIGURE",
+    "FOOTER",
+    "FORM",
+    "H1",
+    "H2",
+    "H3",
+    "H4",
+    "H5",
+    "H6",
+    "HEADER",
+    "HR",
+    "LI",
+    "OL",
+    "P",
+    "PRE",
+    "SECTION",
+    "TABLE",
+    "UL",
+  ];
+
+  /**
+   * Editor commands refused inside regions: inline formatting in text
+   * regions, block formatting in text and inline regions
+   */
+  static REGION_COMMANDS = {
+    text: [
+      "bold",
+      "italic",
+      "underline",
+      "strikethrough",
+      "superscript",
+      "subscript",
+      "forecolor",
+      "hilitecolor",
+      "fontname",
+      "fontsize",
+      "createlink",
+      "mceinsertlink",
+      "mcetoggleformat",
+      "mceapplytextcolor",
+    ],
+    inline: [
+      "formatblock",
+      "mceblockquote",
+      "insertorderedlist",
+      "insertunorderedlist",
+      "mceinserttable",
+      "inserthorizontalrule",
+      "indent",
+      "outdent",
+      "insertparagraph",
+      "mceinsertnewline",
+    ],
+  };
+
+  /**
+   * Root attributes a re-render never replaces
+   */
+  static RERENDER_KEPT_ATTRIBUTES = [
+    "data-component",
+    "data-instance-id",
+    "data-component-version",
+    "draggable",
+  ];
+
+  /**
+   * Attributes whose values refer to element IDs, remapped when pasted or
+   * duplicated content gets new IDs
+   */
+  static ID_REFERENCE_ATTRIBUTES = [
+    "for",
+    "href",
+    "aria-controls",
+    "aria-describedby",
+    "aria-labelledby",
+    "data-bs-parent",
+    "data-bs-target",
+    "data-parent",
+    "data-target",
+  ];
+
   /**
    * Setup the Components Manager
-   * @param {Object} editor - TinyMCE editor instance
-   * @param {string} componentsPanelSelector - Selector for the components panel container
-   * @param {string} propertiesPanelSelector - Selector for the properties panel container
+   * @param {Object} [editor] - TinyMCE editor instance, a HeadlessEditor when omitted
+   * @param {string|HTMLElement} [componentsPanelSelector] - Selector for the components panel container
+   * @param {string|HTMLElement} [propertiesPanelSelector] - Selector for the properties panel container
    * @returns {ComponentsManager} The created instance
    */
   static setup(editor, componentsPanelSelector, propertiesPanelSelector) {
@@ -20,29 +191,52 @@ class ComponentsManager {
 
   /**
    * Create a new Components Manager
-   * @param {Object} editor - TinyMCE editor instance
-   * @param {string} componentsPanelSelector - Selector for the components panel
-   * @param {string} propertiesPanelSelector - Selector for the properties panel
+   * Without panel selectors the manager runs headless: components can be
+   * registered, inserted, read and updated through the API only.
+   * @param {Object} [editor] - TinyMCE editor instance, a HeadlessEditor when omitted
+   * @param {string|HTMLElement} [componentsPanelSelector] - Selector for the components panel
+   * @param {string|HTMLElement} [propertiesPanelSelector] - Selector for the properties panel
    */
   constructor(editor, componentsPanelSelector, propertiesPanelSelector) {
-    this.editor = editor;
+    this.editor = editor || new HeadlessEditor();
     this.components = new Map();
     this.categories = new Set();
     this.activeComponent = null;
     this.selectedElement = null;
     this.editorStyles = new Set();
     this.styles = new Map(); // Store predefined styles
-
-    // Get panel elements
-    this.componentsPanel = document.querySelector(componentsPanelSelector);
-    this.propertiesPanel = document.querySelector(propertiesPanelSelector);
-
-    if (!this.componentsPanel || !this.propertiesPanel) {
-      console.error("Could not find one or both panel containers");
-      return;
+    this.events = new EventBus();
+    this.nestingRules = new NestingRules(this);
+    this.codecs = new PropertyCodecs();
+    this.ids = new IdService(() => this.editor.getDoc());
+    this.palette = new ComponentPalette(this); // quick insert, `/` or Ctrl+K
+    this.previews = new ComponentPreview(this); // thumbnails in the panel
+    this.packs = new ComponentPacks(this); // component packs, see use()
+    this.storageKey = "components-manager"; // localStorage prefix, see getFavorites()
+    this.unsavedLists = new Map(); // storage key -> list localStorage refused
+    this.panelQuery = ""; // search text of the components panel
+    this.panelLayout = "tabs"; // categories as "tabs" or "accordion" sections
+    this.categoryOptions = new Map(); // path -> { order, hidden, collapsed }
+    this.collapsedCategories = new Set(); // closed accordion sections
+    this.activeCategory = null; // open tab of the tabs layout
+    this.dragState = null; // { componentId, instanceId } of the current drag
+    this.lastRejection = null; // Reason the last drop target was refused
+    this.lastMigrationReport = []; // Instances migrated when content was last loaded
+    this._cleanups = new WeakMap(); // instance element -> cleanup callbacks
+    this._tornDown = new WeakSet(); // instances whose onRemove already ran
+    this._historyChange = false; // set while undo/redo replaces the content
+    this.allowUnlock = false; // offer lifting the locks in the properties panel
+    this.locksLifted = false; // protection temporarily off
+
+    this.componentsPanel = null;
+    this.propertiesPanel = null;
+    this.initialized = false;
+
+    // The panels are optional renderers on top of the core
+    if (componentsPanelSelector || propertiesPanelSelector) {
+      this.attachPanels(componentsPanelSelector, propertiesPanelSelector);
     }
 
-    this.initializeUI();
     this.bindEditorEvents();
 
     // Reinitialize any existing components in the editor
@@ -60,16 +254,19 @@ class ComponentsManager {
     const props = {};
     for (const [propName, propDef] of Object.entries(propertyDefs)) {
       const dataAttr = `data-prop-${propName}`;
-      if (element.hasAttribute(dataAttr)) {
-        const value = element.getAttribute(dataAttr);
-        // Convert string values to appropriate types
-        if (typeof propDef.default === "number") {
-          props[propName] = parseFloat(value) || propDef.default;
-        } else if (typeof propDef.default === "boolean") {
-          props[propName] = value === "true";
-        } else {
-          props[propName] = value || propDef.default || "";
-        }
+      const region = propDef.region && this._findRegion(element, propDef.region);
+      if (region) {
+        // The region's content is the value
+        props[propName] = this._readRegion(region);
+      } else if (element.hasAttribute(dataAttr)) {
+        // Decode the value with the property's codec, invalid values were
+        // reported when the instance was initialized
+        const { value } = this.codecs.read(
+          element.getAttribute(dataAttr),
+          propDef,
+          { manager: this, element }
+        );
+        props[propName] = value;
       } else {
         // Use default value if not set
         props[propName] = propDef.default;
@@ -83,392 +280,2967 @@ class ComponentsManager {
    * @param {HTMLElement} element - The element to save properties to
    * @param {string} propName - The property name
    * @param {*} value - The property value
+   * @param {Object} [propDef] - The property definition, selects the codec
    * @private
    */
-  _savePropertyToElement(element, propName, value) {
+  _savePropertyToElement(element, propName, value, propDef = {}) {
+    const region = propDef.region && this._findRegion(element, propDef.region);
+    if (region) {
+      this._writeRegion(region, value);
+      return;
+    }
+
     const dataAttr = `data-prop-${propName}`;
     if (value === null || value === undefined) {
       element.removeAttribute(dataAttr);
     } else {
-      element.setAttribute(dataAttr, String(value));
+      element.setAttribute(
+        dataAttr,
+        this.codecs.write(value, propDef, { manager: this, element })
+      );
     }
   }
 
   /**
-   * Register a component
-   * @param {Component} component - The component to register
+   * Find an editable region of a component instance
+   * @param {HTMLElement} element - The component root element
+   * @param {string} name - The region name
+   * @returns {HTMLElement|null} The region element
+   * @private
    */
-  register(component) {
-    if (!(component instanceof Component)) {
-      console.error("Can only register instances of Component");
-      return false;
-    }
-
-    if (this.components.has(component.id)) {
-      console.warn(`Component with ID "${component.id}" is already registered`);
-      return false;
-    }
-
-    this.components.set(component.id, component);
-    this.categories.add(component.category || "General");
+  _findRegion(element, name) {
+    return (
+      this._ownMarkup(element).find(
+        (el) => el.getAttribute("data-component-editable") === name
+      ) || null
+    );
+  }
 
-    // Add component's editor style if it exists
-    if (component.editorStyle) {
-      this.editorStyles.add(component.editorStyle);
-      this.injectEditorStyles();
+  /**
+   * Get the editing mode of a region
+   * @param {HTMLElement} region - The region element
+   * @returns {string|null} `"text"`, `"inline"` or `"block"`, null outside of regions
+   * @private
+   */
+  _regionMode(region) {
+    if (!region || !region.hasAttribute("data-component-editable")) {
+      return null;
     }
+    const root = region.closest("[data-component]");
+    const component =
+      root && this.getComponent(root.getAttribute("data-component"));
+    const modes = (component && component.editable) || {};
+    const mode = modes[region.getAttribute("data-component-editable")];
+    return ComponentsManager.REGION_MODES.includes(mode) ? mode : "inline";
+  }
 
-    // Update the UI if already initialized
-    if (this.initialized) {
-      this.renderComponentsPanel();
+  /**
+   * Find the editable region a node is in
+   * @param {Node} node - The node, e.g. the selection
+   * @returns {HTMLElement|null} The innermost region
+   * @private
+   */
+  _getRegionAt(node) {
+    let el =
+      node && node.nodeType !== Node.ELEMENT_NODE ? node.parentElement : node;
+    while (el) {
+      if (el.hasAttribute("data-component-editable")) return el;
+      // Slots and other components end the search
+      if (
+        el.hasAttribute("data-component-children") ||
+        el.hasAttribute("data-component")
+      ) {
+        return null;
+      }
+      el = el.parentElement;
     }
+    return null;
+  }
 
-    return true;
+  /**
+   * Read a region's content: its text in text mode, its HTML otherwise
+   * @private
+   */
+  _readRegion(region) {
+    return this._regionMode(region) === "text"
+      ? region.textContent
+      : region.innerHTML;
   }
 
   /**
-   * Add or update a predefined style
-   * @param {string} name - Name of the style
-   * @param {Object} style - Style properties (e.g., { color: 'red', 'font-weight': 'bold' })
-   * @returns {ComponentsManager} The ComponentsManager instance for chaining
+   * Replace a region's content, keeping to its mode
+   * @private
    */
-  addStyle(name, style) {
-    if (typeof name !== "string" || !style || typeof style !== "object") {
-      console.error("Invalid style name or properties");
-      return this;
+  _writeRegion(region, value) {
+    const content = value === null || value === undefined ? "" : String(value);
+    if (this._regionMode(region) === "text") {
+      region.textContent = content;
+    } else {
+      region.innerHTML = content;
+      this._normalizeRegion(region);
     }
-    this.styles.set(name, { ...style });
-    return this;
   }
 
   /**
-   * Get all predefined styles
-   * @returns {Map} Map of style names to style objects
+   * Strip content a region's mode doesn't allow
+   * Text regions keep their text only, inline regions lose their block
+   * elements (their content stays, separated by line breaks).
+   * @param {HTMLElement} region - The region, or pasted content going into it
+   * @param {string} [mode] - The mode, defaults to the region's
+   * @private
    */
-  getStyles() {
-    return new Map(this.styles);
+  _normalizeRegion(region, mode = this._regionMode(region)) {
+    if (mode === "text") {
+      if (region.children.length) region.textContent = region.textContent;
+      return;
+    }
+    if (mode !== "inline") return;
+
+    const doc = region.ownerDocument;
+    Array.from(region.querySelectorAll("*"))
+      .reverse()
+      .forEach((el) => {
+        if (!ComponentsManager.BLOCK_ELEMENTS.includes(el.tagName)) return;
+        const hasNext = el.nextSibling && el.nextSibling.nodeName !== "BR";
+        el.replaceWith(
+          ...el.childNodes,
+          ...(hasNext ? [doc.createElement("br")] : [])
+        );
+      });
   }
 
   /**
-   * Apply a style to the selected element
-   * @param {string} styleName - Name of the style to apply
-   * @param {HTMLElement} [element] - Optional element to apply style to (defaults to selectedElement)
-   * @returns {boolean} True if style was applied, false otherwise
+   * Set which parts of an instance can be edited
+   * Locked instances are not editable at all. Structure-locked instances
+   * and instances with `data-component-editable` regions become
+   * non-editable chrome around their regions and slots; a root that is a
+   * region or slot itself stays editable as a whole. Free instances
+   * without regions, and every instance while the locks are lifted, are
+   * left as their markup says.
+   * @param {HTMLElement} element - The component root element
+   * @private
    */
-  applyStyle(styleName, element = this.selectedElement) {
-    if (!element || !this.styles.has(styleName)) return false;
-
-    const style = this.styles.get(styleName);
-    let styleString = "";
+  _applyEditingState(element) {
+    const own = this._ownMarkup(element);
+
+    // Start over from the markup's own state
+    own.forEach((el) => {
+      if (el.hasAttribute("data-cm-editable")) {
+        el.removeAttribute("contenteditable");
+        el.removeAttribute("data-cm-editable");
+      }
+    });
+    if (this.locksLifted) return;
 
-    // Convert style object to CSS string
-    for (const [prop, value] of Object.entries(style)) {
-      styleString += `${prop}:${value};`;
+    const mark = (el, editable) => {
+      el.setAttribute("contenteditable", editable ? "true" : "false");
+      el.setAttribute("data-cm-editable", "");
+    };
+    const level = this.getProtection(element);
+    if (level === "locked") {
+      mark(element, false);
+      return;
     }
 
-    // Apply the style
-    element.style.cssText = styleString;
-
-    // Dispatch style-updated event
-    const event = new CustomEvent("style-updated", {
-      detail: {
-        styleName,
-        element,
-        style: styleString,
-      },
-    });
-    document.dispatchEvent(event);
-
-    // Update the properties panel
-    this.updatePropertiesPanel();
+    const regions = own.filter((el) =>
+      el.hasAttribute("data-component-editable")
+    );
+    if (level === "free" && !regions.length) return;
+    if (
+      regions.includes(element) ||
+      element.hasAttribute("data-component-children")
+    ) {
+      return;
+    }
 
-    return true;
+    mark(element, false);
+    regions.forEach((region) => mark(region, true));
+    own
+      .filter(
+        (el) => el !== element && el.hasAttribute("data-component-children")
+      )
+      .forEach((slot) => mark(slot, true));
   }
 
   /**
-   * Remove all inline styles from the selected element
-   * @param {HTMLElement} [element] - Optional element to remove styles from (defaults to selectedElement)
+   * Get the protection level of an instance
+   * @param {HTMLElement} element - The component root element
+   * @returns {string} `"free"`, `"structure"` or `"locked"`
    */
-  removeStyles(element = this.selectedElement) {
-    if (!element) return;
-
-    // Remove all inline styles
-    element.removeAttribute("style");
-
-    // Dispatch style-updated event
-    const event = new CustomEvent("style-updated", {
-      detail: {
-        styleName: null,
-        element,
-        style: "",
-      },
-    });
-    document.dispatchEvent(event);
-
-    // Update the properties panel
-    this.updatePropertiesPanel();
+  getProtection(element) {
+    const component =
+      element && this.getComponent(element.getAttribute("data-component"));
+    const level = component && component.protection;
+    return ComponentsManager.PROTECTION_LEVELS.includes(level) ? level : "free";
   }
 
   /**
-   * Get the currently applied style for an element
-   * @param {HTMLElement} [element] - Optional element to check (defaults to selectedElement)
-   * @returns {string|null} Name of the matching style or null if no match
+   * Lift or restore the protection of every instance
+   * Meant for administrators fixing a broken structure; the properties
+   * panel offers it when `allowUnlock` is set.
+   * @param {boolean} [lifted=true] - Whether the locks are lifted
    */
-  getCurrentStyle(element = this.selectedElement) {
-    if (!element) return null;
-
-    // Get all inline styles
-    const currentStyles = element.style;
-    const inlineStyle = {};
+  liftLocks(lifted = true) {
+    this.locksLifted = Boolean(lifted);
+    this.editor.dom
+      .select("[data-component]")
+      .forEach((element) => this._applyEditingState(element));
+    this.events.emit("protection:changed", { lifted: this.locksLifted });
+
+    if (this.selectedElement) this.updatePropertiesPanel();
+  }
 
-    // Convert CSSStyleDeclaration to plain object
-    for (let i = 0; i < currentStyles.length; i++) {
-      const prop = currentStyles[i];
-      inlineStyle[prop] = currentStyles[prop];
-    }
+  /**
+   * Find the protected instance a change of the selection would break
+   * @param {Range} range - The selection
+   * @param {string|null} [direction] - `"backward"` or `"forward"` for a
+   *   deletion, which also reaches the node next to a collapsed caret
+   * @returns {HTMLElement|null} The protected instance, null when the change is fine
+   * @private
+   */
+  _findProtectedEdit(range, direction = null) {
+    if (this.locksLifted || !range) return null;
 
-    // Check each registered style for a match
-    for (const [name, style] of this.styles.entries()) {
-      if (this._stylesMatch(style, inlineStyle)) {
-        return name;
+    const body = this.editor.getBody();
+    const doc = this.editor.getDoc();
+    const touched = [range.startContainer, range.endContainer];
+    if (range.collapsed && direction) {
+      // The neighbor and its edge toward the caret, which gets merged
+      let neighbor = this._adjacentNode(range, direction);
+      while (neighbor) {
+        touched.push(neighbor);
+        neighbor =
+          direction === "backward" ? neighbor.lastChild : neighbor.firstChild;
       }
     }
 
+    const protectedElements = Array.from(
+      body.querySelectorAll("[data-component]")
+    ).filter((element) => this.getProtection(element) !== "free");
+
+    for (const element of protectedElements) {
+      const involved =
+        range.intersectsNode(element) ||
+        touched.some((node) => element.contains(node));
+      if (!involved) continue;
+
+      const level = this.getProtection(element);
+      const whole = doc.createRange();
+      whole.selectNode(element);
+      const coversWhole =
+        !range.collapsed &&
+        range.compareBoundaryPoints(Range.START_TO_START, whole) <= 0 &&
+        range.compareBoundaryPoints(Range.END_TO_END, whole) >= 0;
+
+      // Removing a structure-locked instance as a whole is fine
+      if (coversWhole && level === "structure") continue;
+      if (level === "locked") return element;
+
+      // Changes must stay inside one region or slot
+      const start = this._editablePartAt(element, range.startContainer);
+      const end = this._editablePartAt(element, range.endContainer);
+      const reachesOut =
+        range.collapsed &&
+        direction &&
+        !touched.slice(2).every((node) => start && start.contains(node));
+      if (!start || start !== end || reachesOut) return element;
+    }
     return null;
   }
 
   /**
-   * Update the properties panel for the given element
-   * @param {HTMLElement} element - The element to update the properties panel for
+   * Refuse a block format that would rename an element of a protected
+   * instance's own markup (its wrapper, a header, a region), even from a
+   * caret inside one of its regions or slots
+   * @param {Range} range - The selection being formatted
+   * @returns {boolean} Whether the format was refused
    * @private
    */
-  updatePropertiesPanel(element) {
-    if (!element || !this.propertiesPanel) return;
-
-    // Store scroll position
-    const scrollTop = this.propertiesPanel.scrollTop;
-
-    // Re-render the properties panel
-    this.renderElementProperties(element, this.propertiesPanel);
-
-    // Restore scroll position
-    this.propertiesPanel.scrollTop = scrollTop;
+  _guardProtectedBlocks(range) {
+    if (this.locksLifted || !range) return false;
+
+    // The blocks the format applies to: those around both ends of the
+    // range and those inside it
+    const blockAround = (node) => {
+      let el =
+        node && node.nodeType !== Node.ELEMENT_NODE ? node.parentElement : node;
+      while (el && !ComponentsManager.BLOCK_ELEMENTS.includes(el.tagName)) {
+        el = el.parentElement;
+      }
+      return el;
+    };
+    const blocks = [
+      blockAround(range.startContainer),
+      blockAround(range.endContainer),
+    ].filter(Boolean);
+
+    const body = this.editor.getBody();
+    for (const element of body.querySelectorAll("[data-component]")) {
+      if (this.getProtection(element) === "free") continue;
+      const hit = this._ownMarkup(element).some(
+        (el) =>
+          blocks.includes(el) ||
+          (!range.collapsed &&
+            ComponentsManager.BLOCK_ELEMENTS.includes(el.tagName) &&
+            range.intersectsNode(el) &&
+            !el.contains(range.startContainer) &&
+            !el.contains(range.endContainer))
+      );
+      if (hit) {
+        const component = this.getComponent(
+          element.getAttribute("data-component")
+        );
+        this._showRejection(
+          `The structure of ${component.name} is protected`
+        );
+        return true;
+      }
+    }
+    return false;
   }
 
   /**
-   * Check if two style objects match
+   * Check whether a command changes the block type of the selection
+   * @param {string} command - The command, lowercase
+   * @param {*} value - The command value, the format name for formats
+   * @returns {boolean} Whether it is a block format
    * @private
    */
-  _stylesMatch(style1, style2) {
-    const keys1 = Object.keys(style1);
-    const keys2 = Object.keys(style2);
-
-    if (keys1.length !== keys2.length) return false;
-
-    return keys1.every(
-      (key) =>
-        style1[key] === style2[key] ||
-        (style1[key] &&
-          style2[key] &&
-          style1[key].toString() === style2[key].toString())
+  static _isBlockFormat(command, value) {
+    if (command === "formatblock" || command === "mceblockquote") return true;
+    return (
+      ["mcetoggleformat", "mceapplyformat"].includes(command) &&
+      ComponentsManager.BLOCK_ELEMENTS.includes(String(value).toUpperCase())
     );
   }
 
   /**
-   * Get a component by ID
-   * @param {string} id - Component ID
-   * @returns {Component|null} The component or null if not found
+   * Get the region or slot of an instance a node is in
+   * @private
    */
-  getComponent(id) {
-    return this.components.get(id) || null;
+  _editablePartAt(element, node) {
+    const own = new Set(this._ownMarkup(element));
+    let el =
+      node && node.nodeType !== Node.ELEMENT_NODE ? node.parentElement : node;
+    while (el && element.contains(el)) {
+      if (
+        own.has(el) &&
+        (el.hasAttribute("data-component-editable") ||
+          el.hasAttribute("data-component-children"))
+      ) {
+        return el;
+      }
+      el = el.parentElement;
+    }
+    return null;
   }
 
   /**
-   * Initialize the UI
+   * Get the node a Backspace or Delete at a collapsed caret would remove
+   * @param {Range} range - The collapsed selection
+   * @param {string} direction - `"backward"` or `"forward"`
+   * @returns {Node|null} The node, null when a character is deleted
    * @private
    */
+  _adjacentNode(range, direction) {
+    const backward = direction === "backward";
+    const body = this.editor.getBody();
+    let node = range.startContainer;
+    const offset = range.startOffset;
+
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (backward ? offset > 0 : offset < node.length) return null;
+    } else {
+      const child = node.childNodes[backward ? offset - 1 : offset];
+      if (child) return child;
+    }
+
+    while (node && node !== body) {
+      const sibling = backward ? node.previousSibling : node.nextSibling;
+      if (sibling) return sibling;
+      node = node.parentNode;
+    }
+    return null;
+  }
+
   /**
-   * Inject all collected editor styles into the TinyMCE iframe
+   * Refuse a change that would break a protected instance
+   * @param {Range} range - The selection
+   * @param {string|null} [direction] - See _findProtectedEdit()
+   * @returns {boolean} Whether the change was refused
    * @private
    */
-  injectEditorStyles() {
-    if (!this.editor) {
-      return;
-    }
+  _guardProtectedEdit(range, direction = null) {
+    const element = this._findProtectedEdit(range, direction);
+    if (!element) return false;
+
+    const component = this.getComponent(element.getAttribute("data-component"));
+    this._showRejection(
+      this.getProtection(element) === "locked"
+        ? `${component.name} is locked`
+        : `The structure of ${component.name} is protected`
+    );
+    return true;
+  }
 
-    const inject = () => {
-      try {
-        const doc = this.editor.getDoc();
-        if (!doc) {
-          setTimeout(inject, 100);
-          return;
+  /**
+   * Register a codec for property values
+   * Properties select it with their `codec` option.
+   * @param {string} name - The codec name
+   * @param {Object} codec - `{ encode, decode, validate?, migrate? }`
+   * @returns {boolean} Whether the codec was registered
+   */
+  registerCodec(name, codec) {
+    return this.codecs.register(name, codec);
+  }
+
+  /**
+   * Rewrite the property attributes of an instance in their codec's
+   * canonical encoding, migrating values saved as plain strings
+   * @param {HTMLElement} element - The component root element
+   * @param {Component} component - The component definition
+   * @returns {boolean} Whether any attribute changed
+   * @private
+   */
+  _migratePropertyEncoding(element, component) {
+    let changed = false;
+
+    Object.entries(component.properties || {}).forEach(([propName, propDef]) => {
+      const dataAttr = `data-prop-${propName}`;
+      if (!element.hasAttribute(dataAttr) || propDef.type === "button") return;
+
+      const raw = element.getAttribute(dataAttr);
+      const context = { manager: this, element };
+      const { value, valid } = this.codecs.read(raw, propDef, context);
+      if (!valid) {
+        console.warn(
+          `Invalid value "${raw}" for property "${propName}" of ${component.name}, reset to the default`
+        );
+      }
+
+      if (value === null || value === undefined) {
+        element.removeAttribute(dataAttr);
+        changed = true;
+        return;
+      }
+
+      const encoded = this.codecs.write(value, propDef, context);
+      if (encoded !== raw) {
+        element.setAttribute(dataAttr, encoded);
+        changed = true;
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * Run the pending schema migrations of every component instance
+   *
+   * An instance's schema version is read from `data-component-version`;
+   * instances saved before versioning existed count as version 1. Each
+   * `component.migrations[n]` step upgrades version n + 1 to n + 2 and is
+   * called as `migrate(element, fromVersion, context)` where `context` holds
+   * `{ manager, component, renameProperty(from, to), mapPropertyValue(name, map) }`.
+   * A step may return a new root element to replace the instance's markup.
+   * @param {HTMLElement} [root] - Element to search, defaults to the editor body
+   * @returns {Array<{instanceId: string, component: string, fromVersion: number, toVersion: number, element: HTMLElement, error?: Error}>}
+   *   The instances that were migrated
+   */
+  migrateComponents(root = this.editor.getBody()) {
+    const report = [];
+    if (!root) return report;
+
+    Array.from(root.querySelectorAll("[data-component]")).forEach((element) => {
+      // Skip instances dropped by the migration of a parent
+      if (!root.contains(element)) return;
+
+      const component = this.getComponent(element.getAttribute("data-component"));
+      if (!component) return;
+
+      const result = this._migrateInstance(element, component);
+      if (result) {
+        report.push(result);
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * Bring one instance up to its component's schema version
+   * @param {HTMLElement} element - The component root element
+   * @param {Component} component - The component definition
+   * @returns {Object|null} The report entry, or null when nothing ran
+   * @private
+   */
+  _migrateInstance(element, component) {
+    const saved = parseInt(element.getAttribute("data-component-version"), 10);
+    const fromVersion = saved > 0 ? saved : 1;
+    const instanceId = element.getAttribute("data-instance-id");
+
+    if (fromVersion >= component.version) {
+      element.setAttribute("data-component-version", component.version);
+      return null;
+    }
+
+    let version = fromVersion;
+    let error;
+    while (version < component.version) {
+      const step = component.migrations[version - 1];
+      if (typeof step === "function") {
+        try {
+          const replacement = step(
+            element,
+            version,
+            this._createMigrationContext(element, component)
+          );
+          if (
+            replacement &&
+            replacement.nodeType === Node.ELEMENT_NODE &&
+            replacement !== element
+          ) {
+            element = this._replaceMigratedElement(
+              element,
+              replacement,
+              component
+            );
+          }
+        } catch (e) {
+          console.error(
+            `Migration of ${component.name} from version ${version} failed:`,
+            e
+          );
+          error = e;
+          break;
         }
+      }
+      version++;
+    }
 
-        const styleId = "components-editor-styles";
-        let styleElement = doc.getElementById(styleId);
+    // A failed step leaves the instance at the last version it reached
+    element.setAttribute("data-component-version", version);
 
-        if (!styleElement) {
-          styleElement = doc.createElement("style");
-          styleElement.id = styleId;
-          doc.head.appendChild(styleElement);
+    const entry = {
+      instanceId,
+      component: component.id,
+      fromVersion,
+      toVersion: version,
+      element,
+    };
+    if (error) entry.error = error;
+    return entry;
+  }
+
+  /**
+   * Helpers handed to migration steps
+   * @private
+   */
+  _createMigrationContext(element, component) {
+    return {
+      manager: this,
+      component,
+      renameProperty: (from, to) => {
+        const fromAttr = `data-prop-${from}`;
+        if (!element.hasAttribute(fromAttr)) return;
+        element.setAttribute(`data-prop-${to}`, element.getAttribute(fromAttr));
+        element.removeAttribute(fromAttr);
+      },
+      mapPropertyValue: (name, map) => {
+        const attr = `data-prop-${name}`;
+        const raw = element.getAttribute(attr);
+        if (raw !== null && Object.prototype.hasOwnProperty.call(map, raw)) {
+          element.setAttribute(attr, map[raw]);
         }
+      },
+    };
+  }
 
-        // Combine all styles and update the style element
-        const combinedStyles = Array.from(this.editorStyles).join("\n");
-        styleElement.textContent = combinedStyles + `
-          @keyframes blink {
-            from, to { opacity: 1; }
-            50% { opacity: 0.5; }
-          }
-          
-          .drop-indicator {
-            display: inline-block;
-            width: 2px;
-            height: 1.2em;
-            background-color: #4a90e8;
-            vertical-align: text-bottom;
-            margin: 0 1px;
-            position: relative;
-            pointer-events: none;
-            animation: blink 1s step-end infinite;
-          }
+  /**
+   * Put the element returned by a migration step in place of the old root,
+   * keeping the instance's identity and saved properties
+   * @private
+   */
+  _replaceMigratedElement(element, replacement, component) {
+    Array.from(element.attributes).forEach((attr) => {
+      if (
+        (attr.name.startsWith("data-prop-") ||
+          attr.name === "data-instance-id") &&
+        !replacement.hasAttribute(attr.name)
+      ) {
+        replacement.setAttribute(attr.name, attr.value);
+      }
+    });
+    replacement.setAttribute("data-component", component.id);
 
-          .dragging {
-            display:none;
-          }
-        `;
-      } catch (error) {
-        // Retry after a short delay if there was an error
-        setTimeout(inject, 100);
+    if (element.parentNode && !replacement.parentNode) {
+      element.replaceWith(replacement);
+    }
+    return replacement;
+  }
+
+  /**
+   * Apply the declarative `bind` option of a property definition to an element
+   *
+   * Supported bindings:
+   * - `"class"` / `{ type: "class" }` - remove every `options` value, add the selected one
+   * - `{ type: "attribute", name }` - set (or remove when empty) an attribute
+   * - `{ type: "style", name, unit }` - set an inline style
+   * - `{ type: "text" }` - set the text content
+   * Every binding accepts an optional `selector` to target a descendant
+   * instead of the component root. An array applies several bindings.
+   * @param {HTMLElement} element - The component root element
+   * @param {Object} prop - The property definition
+   * @param {*} value - The new property value
+   * @private
+   */
+  _applyPropertyBindings(element, prop, value) {
+    if (!element || !prop || !prop.bind) return;
+
+    const bindings = Array.isArray(prop.bind) ? prop.bind : [prop.bind];
+
+    bindings.forEach((binding) => {
+      if (typeof binding === "string") {
+        binding = { type: binding };
       }
+      if (!binding || typeof binding !== "object") return;
+
+      const targets = binding.selector
+        ? Array.from(element.querySelectorAll(binding.selector))
+        : [element];
+      const isEmpty = value === null || value === undefined || value === "";
+
+      targets.forEach((target) => {
+        switch (binding.type) {
+          case "class": {
+            const toRemove = (binding.options || prop.options || [])
+              .map((option) => option.value)
+              .filter(Boolean);
+            toRemove.forEach((option) =>
+              String(option)
+                .split(/\s+/)
+                .forEach((cls) => cls && target.classList.remove(cls))
+            );
+            if (!isEmpty) {
+              String(value)
+                .split(/\s+/)
+                .forEach((cls) => cls && target.classList.add(cls));
+            }
+            break;
+          }
+          case "attribute":
+            if (!binding.name) break;
+            if (isEmpty || value === false) {
+              target.removeAttribute(binding.name);
+            } else {
+              target.setAttribute(
+                binding.name,
+                value === true ? "" : String(value)
+              );
+            }
+            break;
+          case "style":
+            if (!binding.name) break;
+            target.style.setProperty(
+              binding.name,
+              isEmpty ? "" : `${value}${binding.unit || ""}`
+            );
+            break;
+          case "text":
+            target.textContent = isEmpty ? "" : String(value);
+            break;
+          default:
+            console.warn(`Unknown property binding type "${binding.type}"`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the property values of a component instance
+   * @param {HTMLElement} element - The component root element
+   * @returns {Object|null} The decoded properties, or null for non-components
+   */
+  getProperties(element) {
+    const component =
+      element && this.getComponent(element.getAttribute("data-component"));
+    if (!component) return null;
+    return this._getPropertiesFromElement(element, component.properties);
+  }
+
+  /**
+   * Change a property of a component instance
+   * Goes through the same path as the properties panel: the value is saved,
+   * bindings are applied, onUpdate is called and one undo level is recorded.
+   * @param {HTMLElement} element - The component root element
+   * @param {string} propName - The property name
+   * @param {*} value - The new value
+   * @returns {boolean} Whether the property was changed
+   */
+  setProperty(element, propName, value) {
+    const component =
+      element && this.getComponent(element.getAttribute("data-component"));
+    if (!component) {
+      console.error("setProperty needs a component element");
+      return false;
+    }
+
+    const propDef = component.properties[propName];
+    if (!propDef) {
+      console.warn(`Component "${component.id}" has no property "${propName}"`);
+      return false;
+    }
+
+    const changed = this._commitPropertyChange(
+      component,
+      { ...propDef, name: propName },
+      value,
+      element
+    );
+    if (!changed) return false;
+
+    if (element === this.selectedElement) {
+      this.updatePropertiesPanel();
+    }
+    this.editor.nodeChanged();
+    return true;
+  }
+
+  /**
+   * Listen to a manager event
+   *
+   * Events: `component:registered`, `component:unregistered`,
+   * `component:replaced`, `component:beforeInsert`, `component:inserted`,
+   * `component:beforeRemove`, `component:removed`, `component:beforeMove`,
+   * `component:moved`, `property:beforeChange`, `property:changed`,
+   * `selection:changed`, `style:applied`, `drop:rejected`, `pack:loaded`,
+   * `pack:conflict` and `pack:removed`. Call `event.preventDefault()` in a
+   * `before*` handler to cancel the operation. `"*"` receives every event.
+   * The insert events also fire for every child component inserted together
+   * with its parent (its `children` config, or the content of a pasted or
+   * duplicated component), with `child: true`.
+   * @param {string} type - The event name
+   * @param {Function} handler - Called with the event object
+   * @returns {Function} Removes the handler again
+   */
+  on(type, handler) {
+    return this.events.on(type, handler);
+  }
+
+  /**
+   * Listen to the next occurrence of a manager event
+   * @param {string} type - The event name
+   * @param {Function} handler - Called with the event object
+   * @returns {Function} Removes the handler again
+   */
+  once(type, handler) {
+    return this.events.once(type, handler);
+  }
+
+  /**
+   * Stop listening to a manager event
+   * @param {string} type - The event name
+   * @param {Function} [handler] - The handler, all handlers when omitted
+   */
+  off(type, handler) {
+    this.events.off(type, handler);
+  }
+
+  /**
+   * Describe where an element sits in the component tree
+   * @param {Node} node - The element (or placement marker)
+   * @returns {{parentInstanceId: string|null, slot: string|null, index: number}}
+   * @private
+   */
+  _describePosition(node) {
+    const parent = node.parentElement;
+    if (!parent) return { parentInstanceId: null, slot: null, index: -1 };
+
+    const slot = this.nestingRules.resolveSlot(parent);
+    const owner = (slot ? slot.element : parent).closest("[data-component]");
+    const siblings = Array.from(parent.children).filter(
+      (child) => child === node || child.hasAttribute("data-component")
+    );
+
+    return {
+      parentInstanceId: owner ? owner.getAttribute("data-instance-id") : null,
+      slot: slot ? slot.name : null,
+      index: siblings.indexOf(node),
     };
+  }
 
-    // Start the injection process
-    inject();
+  /**
+   * Change the selected element and announce it
+   * @param {HTMLElement|null} element - The new selection
+   * @private
+   */
+  _setSelectedElement(element) {
+    const previous = this.selectedElement;
+    this.selectedElement = element;
+    if (previous === element) return;
+
+    this.events.emit("selection:changed", {
+      previous,
+      element,
+      previousInstanceId: previous
+        ? previous.getAttribute("data-instance-id")
+        : null,
+      instanceId: element ? element.getAttribute("data-instance-id") : null,
+    });
   }
 
-  initializeUI() {
-    // Initialize components panel
-    this.componentsPanel.innerHTML = `
-      <div class="components-scrollable">
-        <div class="components-tabs"></div>
-        <div class="components-list"></div>
-      </div>
-    `;
+  /**
+   * Put an existing instance in place of a placement target
+   * @param {HTMLElement} element - The component root element
+   * @param {HTMLElement} target - Placeholder or marker it replaces
+   * @param {Component} component - The component definition
+   * @returns {boolean} Whether the instance was moved
+   * @private
+   */
+  _relocateInstance(element, target, component) {
+    const detail = {
+      componentId: component.id,
+      instanceId: element.getAttribute("data-instance-id"),
+      element,
+      from: this._describePosition(element),
+      to: this._describePosition(target),
+    };
 
-    // Initialize properties panel
-    this.propertiesPanel.innerHTML = `
-      <div class="properties-scrollable">
-        <div class="properties-header">
-          <h3>Properties</h3>
-          <div class="element-info">Select an element to edit its properties</div>
-        </div>
-        <div class="properties-content"></div>
-      </div>
-    `;
+    const before = this.events.emit("component:beforeMove", detail, {
+      cancelable: true,
+    });
+    if (before.defaultPrevented) return false;
 
-    this.initialized = true;
-    this.renderComponentsPanel();
+    this.transact(`Move ${component.name}`, () => {
+      target.replaceWith(element);
+    });
 
-    // Inject any existing styles
-    if (this.editorStyles.size > 0) {
-      this.injectEditorStyles();
+    this.events.emit("component:moved", {
+      ...detail,
+      to: this._describePosition(element),
+    });
+    return true;
+  }
+
+  /**
+   * Announce a refused placement
+   * @param {string|null} reason - The rejection reason
+   * @param {Object} [detail] - `componentId`, `instanceId` and `source`
+   *   (`"drop"`, `"paste"`, `"keyboard"`, `"palette"` or `"api"`)
+   * @private
+   */
+  _emitRejection(reason, detail = {}) {
+    this.lastRejection = reason;
+    this.events.emit("drop:rejected", {
+      componentId: null,
+      instanceId: null,
+      source: "drop",
+      ...detail,
+      reason,
+    });
+  }
+
+  /**
+   * Insert a component by ID
+   * @param {string} componentId - The component to insert
+   * @param {Object} [options]
+   * @param {Object} [options.props] - Property values overriding the defaults
+   * @param {string|Range|HTMLElement} [options.at] - Where to insert: a parent
+   *   instance ID, a CSS selector, an element or a Range. Defaults to the end
+   *   of the editor body.
+   * @param {string} [options.slot] - Slot of the parent instance, defaults to its first slot
+   * @param {number} [options.index] - Position among the components already in
+   *   the target, defaults to the end
+   * @returns {ComponentInstance|null} The new instance, or null when it can't be placed
+   */
+  insert(componentId, { props, at, slot, index } = {}) {
+    const component = this.getComponent(componentId);
+    if (!component) {
+      console.error(`Unknown component "${componentId}"`);
+      return null;
+    }
+
+    const marker = this._placeMarker(at, slot, index);
+    if (!marker) return null;
+
+    const verdict = this.checkDropTarget(marker.parentNode, component);
+    if (!verdict.valid) {
+      marker.remove();
+      this._emitRejection(verdict.reason, {
+        componentId,
+        source: "api",
+      });
+      console.warn(verdict.reason);
+      return null;
     }
+
+    const element = this.insertComponent(component, marker, false, { props });
+    if (!element) {
+      marker.remove();
+      return null;
+    }
+
+    this.editor.nodeChanged();
+    return this.getInstance(element.getAttribute("data-instance-id"));
   }
 
   /**
-   * Render the components panel with categories
+   * Get a handle on a component instance
+   * @param {string} instanceId - The instance's `data-instance-id`
+   * @returns {ComponentInstance|null} The handle, or null if no such instance exists
+   */
+  getInstance(instanceId) {
+    return this._findInstanceElement(instanceId)
+      ? new ComponentInstance(this, instanceId)
+      : null;
+  }
+
+  /**
+   * Find the instances of a component in the editor
+   * @param {string} [componentId] - The component, every instance when omitted
+   * @returns {Array<ComponentInstance>} The instances in document order
+   */
+  findInstances(componentId) {
+    const body = this.editor.getBody();
+    if (!body) return [];
+
+    return Array.from(body.querySelectorAll("[data-component]"))
+      .filter(
+        (element) =>
+          componentId === undefined ||
+          element.getAttribute("data-component") === componentId
+      )
+      .map((element) =>
+        this.getInstance(element.getAttribute("data-instance-id"))
+      )
+      .filter(Boolean);
+  }
+
+  /**
+   * Remove a component instance, calling its onRemove first
+   * @param {HTMLElement} element - The component root element
+   * @returns {boolean} Whether the instance was removed
+   */
+  removeInstance(element) {
+    const component =
+      element && this.getComponent(element.getAttribute("data-component"));
+    if (!component) return false;
+
+    const detail = {
+      componentId: component.id,
+      instanceId: element.getAttribute("data-instance-id"),
+      element,
+      props: this._getPropertiesFromElement(element, component.properties),
+      from: this._describePosition(element),
+    };
+    const before = this.events.emit("component:beforeRemove", detail, {
+      cancelable: true,
+    });
+    if (before.defaultPrevented) return false;
+
+    // Nested instances go first, onRemove runs while still in the document
+    const instances = this._collectInstances(element);
+    this.transact(`Remove ${component.name}`, () => {
+      instances.forEach((instance) => this._teardownInstance(instance, true));
+      element.remove();
+    });
+
+    instances.forEach((instance) => {
+      this.events.emit(
+        "component:removed",
+        instance === element
+          ? { ...detail, source: "api" }
+          : this._removalDetail(instance, "api")
+      );
+    });
+
+    // Drop the selection if it was inside the removed instance
+    if (
+      this.selectedElement &&
+      !this.editor.getBody().contains(this.selectedElement)
+    ) {
+      this._setSelectedElement(null);
+      this._resetPropertiesPanel();
+    }
+    this.editor.nodeChanged();
+    return true;
+  }
+
+  /**
+   * Register a cleanup callback for a component instance
+   * Called once when the instance leaves the document, however it was
+   * removed (API, Backspace, cut, setContent, undo). Use it for listeners
+   * added outside the instance's own element.
+   * @param {HTMLElement} element - The component root element
+   * @param {Function} callback - The cleanup
+   */
+  addCleanup(element, callback) {
+    if (!this._cleanups.has(element)) this._cleanups.set(element, []);
+    this._cleanups.get(element).push(callback);
+  }
+
+  /**
+   * Watch the editor body for removed component instances
    * @private
    */
-  renderComponentsPanel() {
-    if (!this.componentsPanel) return;
+  _observeRemovals() {
+    const body = this.editor.getBody();
+    if (!body || typeof MutationObserver === "undefined") return;
 
-    // Get the scrollable container
-    const scrollable = this.componentsPanel.querySelector(
-      ".components-scrollable"
+    this.removalObserver = new MutationObserver((mutations) =>
+      this._handleRemovals(mutations)
     );
-    if (!scrollable) return;
+    this.removalObserver.observe(body, { childList: true, subtree: true });
 
-    scrollable.innerHTML = "";
+    // A level stored right after a deletion (cut, delete commands) comes
+    // before the observer, finish the removals first so the nodes their
+    // onRemove removes too (e.g. a tab's pane) are undone together
+    this.editor.on("BeforeAddUndo", (e) => {
+      if (this._flushRemovals()) {
+        e.preventDefault();
+        this.editor.undoManager.add();
+      }
+    });
+  }
 
-    // Create tabs container
+  /**
+   * Finish the instances removed by a batch of mutations
+   * @param {Array<MutationRecord>} mutations - The observed mutations
+   * @private
+   */
+  _handleRemovals(mutations) {
+    const body = this.editor.getBody();
+    const source = this._historyChange ? "history" : "editor";
+    const removed = [];
+
+    mutations.forEach((mutation) => {
+      mutation.removedNodes.forEach((node) => {
+        // Nodes moved elsewhere in the document are still there
+        if (node.nodeType !== Node.ELEMENT_NODE || body.contains(node)) {
+          return;
+        }
+        removed.push(...this._collectInstances(node));
+      });
+    });
+
+    this._finishRemovals(removed, source);
+  }
+
+  /**
+   * Finish the removals the observer hasn't reported yet
+   * @returns {boolean} Whether their onRemove removed more nodes
+   * @private
+   */
+  _flushRemovals() {
+    if (!this.removalObserver) return false;
+
+    let changed = false;
+    let mutations = this.removalObserver.takeRecords();
+    while (mutations.length) {
+      this._handleRemovals(mutations);
+      mutations = this.removalObserver.takeRecords();
+      changed = changed || mutations.length > 0;
+    }
+    return changed;
+  }
+
+  /**
+   * Get the component instances in a subtree, nested ones first
+   * @param {HTMLElement} root - The subtree root
+   * @returns {Array<HTMLElement>} The instance elements
+   * @private
+   */
+  _collectInstances(root) {
+    const instances = Array.from(root.querySelectorAll("[data-component]"));
+    if (root.hasAttribute("data-component")) instances.unshift(root);
+    return instances.reverse();
+  }
+
+  /**
+   * Tear down and announce instances that left the document
+   * An instance whose ID is back in the document (undo/redo or setContent
+   * restoring the same content) only has its runtime cleaned up.
+   * @param {Array<HTMLElement>} elements - The removed instance elements
+   * @param {string} source - `"editor"` or `"history"`
+   * @private
+   */
+  _finishRemovals(elements, source) {
+    elements.forEach((element) => {
+      if (this._tornDown.has(element)) return;
+
+      const instanceId = element.getAttribute("data-instance-id");
+      const replaced = Boolean(this._findInstanceElement(instanceId));
+
+      // Content restored by undo/redo is consistent, leave it untouched
+      this._teardownInstance(element, !replaced && source !== "history");
+
+      if (!replaced) {
+        this.events.emit(
+          "component:removed",
+          this._removalDetail(element, source)
+        );
+      }
+    });
+  }
+
+  /**
+   * Call an instance's onRemove and run its cleanup callbacks, once
+   * @param {HTMLElement} element - The component root element
+   * @param {boolean} callOnRemove - Whether to call the component's onRemove
+   * @private
+   */
+  _teardownInstance(element, callOnRemove) {
+    if (this._tornDown.has(element)) return;
+    this._tornDown.add(element);
+
+    const component = this.getComponent(element.getAttribute("data-component"));
+    if (component && callOnRemove) {
+      try {
+        component.onRemove(this.editor, element, component);
+      } catch (error) {
+        console.error(`Error in onRemove of ${component.name}:`, error);
+      }
+    }
+
+    this._runCleanups(element);
+  }
+
+  /**
+   * Run and forget the cleanup callbacks of an instance
+   * @param {HTMLElement} element - The component root element
+   * @private
+   */
+  _runCleanups(element) {
+    (this._cleanups.get(element) || []).forEach((callback) => {
+      try {
+        callback(element);
+      } catch (error) {
+        console.error("Error in component cleanup:", error);
+      }
+    });
+    this._cleanups.delete(element);
+  }
+
+  /**
+   * Build the `component:removed` details of an instance
+   * @private
+   */
+  _removalDetail(element, source) {
+    const component = this.getComponent(element.getAttribute("data-component"));
+    return {
+      componentId: component ? component.id : null,
+      instanceId: element.getAttribute("data-instance-id"),
+      element,
+      props: component
+        ? this._getPropertiesFromElement(element, component.properties)
+        : {},
+      from: element.parentElement ? this._describePosition(element) : null,
+      source,
+    };
+  }
+
+  /**
+   * Move a component instance, enforcing the nesting rules
+   * @param {HTMLElement} element - The component root element
+   * @param {Object} [options] - `at`, `slot` and `index`, as for insert()
+   * @returns {boolean} Whether the instance was moved
+   */
+  moveInstance(element, { at, slot, index } = {}) {
+    const component =
+      element && this.getComponent(element.getAttribute("data-component"));
+    if (!component) return false;
+
+    const marker = this._placeMarker(at, slot, index);
+    if (!marker) return false;
+
+    const verdict = this.checkDropTarget(marker.parentNode, component, {
+      moving: element,
+    });
+    if (!verdict.valid) {
+      marker.remove();
+      this._emitRejection(verdict.reason, {
+        componentId: component.id,
+        instanceId: element.getAttribute("data-instance-id"),
+        source: "api",
+      });
+      console.warn(verdict.reason);
+      return false;
+    }
+
+    if (!this._relocateInstance(element, marker, component)) {
+      marker.remove();
+      return false;
+    }
+    this.editor.nodeChanged();
+    return true;
+  }
+
+  /**
+   * Find an instance's root element in the editor
+   * @param {string} instanceId - The instance ID
+   * @returns {HTMLElement|null} The element
+   * @private
+   */
+  _findInstanceElement(instanceId) {
+    const body = this.editor.getBody();
+    if (!body || !instanceId) return null;
+    return (
+      Array.from(body.querySelectorAll("[data-instance-id]")).find(
+        (element) => element.getAttribute("data-instance-id") === instanceId
+      ) || null
+    );
+  }
+
+  /**
+   * Put a temporary marker where a component should go
+   * The marker is replaced by the component, or removed when it is refused.
+   * @param {string|Range|HTMLElement} [at] - Instance ID, selector, element or Range
+   * @param {string} [slot] - Slot name when `at` is a component instance
+   * @param {number} [index] - Position among the components in the target
+   * @returns {HTMLElement|null} The marker, or null when `at` can't be resolved
+   * @private
+   */
+  _placeMarker(at, slot, index) {
+    const doc = this.editor.getDoc();
+    const marker = doc.createElement("span");
+    marker.setAttribute("data-mce-bogus", "1");
+
+    // A range marks an exact position
+    if (at && typeof at.insertNode === "function") {
+      at.insertNode(marker);
+      return marker;
+    }
+
+    let container = null;
+    if (at === undefined || at === null) {
+      container = this.editor.getBody();
+    } else if (typeof at === "string") {
+      container = this._findInstanceElement(at);
+      if (!container) {
+        try {
+          container = this.editor.getBody().querySelector(at);
+        } catch (error) {
+          container = null;
+        }
+      }
+    } else if (at.nodeType === Node.ELEMENT_NODE) {
+      container = at;
+    }
+
+    if (!container) {
+      console.error(`Could not find the insertion point "${at}"`);
+      return null;
+    }
+
+    // Components are placed into one of their slots
+    if (container.hasAttribute("data-component")) {
+      const slots = this._getSlots(container);
+      const slotElement = slot
+        ? slots.find(
+            (el) => el.getAttribute("data-component-children") === slot
+          )
+        : slots[0];
+      if (!slotElement) {
+        console.error(
+          slot
+            ? `Component has no slot "${slot}"`
+            : "Component has no slot to insert into"
+        );
+        return null;
+      }
+      container = slotElement;
+    }
+
+    container
+      .querySelectorAll(':scope > br[data-mce-bogus="1"]')
+      .forEach((br) => br.remove());
+
+    const siblings = Array.from(container.children).filter((child) =>
+      child.hasAttribute("data-component")
+    );
+    const reference =
+      typeof index === "number" && index >= 0 ? siblings[index] || null : null;
+    container.insertBefore(marker, reference);
+    return marker;
+  }
+
+  /**
+   * Save a property value changed from the properties panel, apply its
+   * bindings and notify the component
+   * @param {Component} component - The component owning the property
+   * @param {Object} prop - The property definition (with `name`)
+   * @param {*} newValue - The new value
+   * @param {HTMLElement} [element] - The instance, defaults to the selected element
+   * @returns {boolean} False when a `property:beforeChange` handler cancelled it
+   * @private
+   */
+  _commitPropertyChange(
+    component,
+    prop,
+    newValue,
+    element = this.selectedElement
+  ) {
+    const propName = prop.name;
+    const oldValue = this._getPropertiesFromElement(element, {
+      [propName]: prop,
+    })[propName];
+
+    const detail = {
+      componentId: component.id,
+      instanceId: element.getAttribute("data-instance-id"),
+      element,
+      propName,
+      oldValue,
+      newValue,
+    };
+    const before = this.events.emit("property:beforeChange", detail, {
+      cancelable: true,
+    });
+    if (before.defaultPrevented) return false;
+
+    // One undo level covers the attribute, the bindings and whatever
+    // onUpdate changes (e.g. the layers actions)
+    this.transact(`${component.name}: ${prop.label || propName}`, () => {
+      // Button properties are actions, they carry no value
+      if (prop.type !== "button") {
+        // Save the property to the element's data attribute
+        this._savePropertyToElement(element, propName, newValue, prop);
+      }
+
+      // Regenerate the markup from the new property values
+      if (component.rerender) {
+        this._rerenderInstance(element, component);
+      }
+
+      // Apply declarative bindings before any custom update logic
+      this._applyPropertyBindings(element, prop, newValue);
+
+      // Call onUpdate if defined to handle any custom update logic
+      this._dispatchUpdate(component, {
+        editor: this.editor,
+        element,
+        component,
+        manager: this,
+        propName,
+        prop,
+        oldValue,
+        newValue,
+        props: this._getPropertiesFromElement(element, component.properties),
+      });
+    });
+
+    this.events.emit("property:changed", detail);
+    return true;
+  }
+
+  /**
+   * Regenerate a component's markup from its current property values
+   * The root element stays in place, so the instance keeps its listeners,
+   * handles and runtime. The content of each slot and of each
+   * `data-component-editable` region moves into the new markup, inline
+   * styles of the root are kept and element IDs are kept when the new
+   * markup has as many of them as the old one.
+   * @param {HTMLElement} element - The component root element
+   * @param {Component} component - The component
+   * @returns {boolean} Whether the markup was regenerated
+   * @private
+   */
+  _rerenderInstance(element, component) {
+    const props = this._getPropertiesFromElement(element, component.properties);
+    const html =
+      typeof component.content === "function"
+        ? component.content(
+            props,
+            this._createContentContext(
+              element,
+              false,
+              element.getAttribute("data-instance-id")
+            )
+          )
+        : component.content;
+
+    const temp = element.ownerDocument.createElement("div");
+    temp.innerHTML = String(html).trim();
+    const fresh = temp.firstElementChild;
+    if (!fresh) {
+      console.error(`Component "${component.name}" did not generate any HTML`);
+      return false;
+    }
+
+    const oldOwn = this._ownMarkup(element);
+    const newOwn = this._ownMarkup(fresh);
+    const byName = (elements, attribute) => {
+      const map = new Map();
+      elements.forEach((el) => {
+        if (el.hasAttribute(attribute)) map.set(el.getAttribute(attribute), el);
+      });
+      return map;
+    };
+
+    // Keep the IDs other content may point at
+    const oldIds = oldOwn.filter((el) => el.id).map((el) => el.id);
+    const newIdElements = newOwn.filter((el) => el.id);
+    if (oldIds.length && oldIds.length === newIdElements.length) {
+      const ids = new Map();
+      newIdElements.forEach((el, i) => {
+        if (el.id !== oldIds[i]) ids.set(el.id, oldIds[i]);
+        el.id = oldIds[i];
+      });
+      this._remapIdReferences(newOwn, ids);
+    }
+
+    // Move slot children and edited text over
+    [
+      ["data-component-children", "Slot"],
+      ["data-component-editable", "Editable region"],
+    ].forEach(([attribute, label]) => {
+      const previous = byName(oldOwn, attribute);
+      const next = byName(newOwn, attribute);
+      previous.forEach((oldRegion, name) => {
+        const newRegion = next.get(name);
+        if (!newRegion) {
+          if (oldRegion.childNodes.length) {
+            console.warn(
+              `${label} "${name}" of ${component.name} is gone after re-rendering, its content was removed`
+            );
+          }
+          return;
+        }
+        newRegion.replaceChildren(...oldRegion.childNodes);
+      });
+    });
+
+    // Sync the root's attributes, keeping the component metadata
+    const keep = (name) =>
+      name.startsWith("data-prop-") ||
+      ComponentsManager.RERENDER_KEPT_ATTRIBUTES.includes(name) ||
+      (name === "style" && element.hasAttribute("style"));
+    Array.from(element.attributes).forEach((attr) => {
+      if (!keep(attr.name)) element.removeAttribute(attr.name);
+    });
+    Array.from(fresh.attributes).forEach((attr) => {
+      if (!keep(attr.name)) element.setAttribute(attr.name, attr.value);
+    });
+
+    element.replaceChildren(...fresh.childNodes);
+    this._applyEditingState(element);
+    return true;
+  }
+
+  /**
+   * Get a component's own markup: the root and the elements outside of
+   * its slots
+   * @param {HTMLElement} root - The component root element
+   * @returns {Array<HTMLElement>} The elements, in document order
+   * @private
+   */
+  _ownMarkup(root) {
+    const result = [root];
+    const walk = (parent) => {
+      if (parent.hasAttribute("data-component-children")) return;
+      Array.from(parent.children).forEach((child) => {
+        result.push(child);
+        walk(child);
+      });
+    };
+    walk(root);
+    return result;
+  }
+
+  /**
+   * Run a DOM mutation as a single named undo level
+   * Nested calls are merged into the outermost level. Without an undo
+   * manager the callback simply runs.
+   * @param {string} name - Name of the operation, stored as `level.name`
+   * @param {Function} callback - Performs the mutation
+   * @returns {*} The callback's return value
+   */
+  transact(name, callback) {
+    const undoManager = this.editor && this.editor.undoManager;
+    if (!undoManager || typeof undoManager.transact !== "function") {
+      return callback();
+    }
+
+    let result;
+    const level = undoManager.transact(() => {
+      result = callback();
+    });
+    if (level) {
+      level.name = name;
+    }
+    return result;
+  }
+
+  /**
+   * Record changes already made to the document as a named undo level
+   * Used by live inputs that update styles on every `input` event.
+   * @param {string} name - Name of the operation
+   * @private
+   */
+  _recordUndoLevel(name) {
+    this.transact(name, () => {});
+  }
+
+  /**
+   * Bring the manager back in sync after undo/redo replaced the content
+   * The selection is looked up again by instance ID, its runtime is
+   * restored through onFocus and the properties panel is re-rendered.
+   * @private
+   */
+  _restoreAfterHistoryChange() {
+    const previous = this.selectedElement;
+    const doc = this.editor.getDoc();
+    if (!previous || doc.contains(previous)) {
+      this.updatePropertiesPanel();
+      return;
+    }
+
+    const instanceId = previous.getAttribute("data-instance-id");
+    const restored = instanceId
+      ? doc.querySelector(`[data-instance-id="${instanceId}"]`)
+      : null;
+
+    this._setSelectedElement(restored);
+    if (!restored) {
+      this._resetPropertiesPanel();
+      return;
+    }
+
+    const component = this.getComponent(restored.getAttribute("data-component"));
+    if (component && component.onFocus) {
+      component.onFocus(this.editor, restored, component);
+    }
+    this.updatePropertiesPanel();
+  }
+
+  /**
+   * Call a component's onUpdate with an update event, going through the
+   * adapter for its declared apiVersion
+   * @param {Component} component - The component to notify
+   * @param {ComponentUpdateEvent} event - The update event
+   * @private
+   */
+  _dispatchUpdate(component, event) {
+    if (typeof component.onUpdate !== "function") return;
+
+    const version = component.apiVersion || 1;
+    if (typeof version === "number" && version >= Component.API_VERSION) {
+      component.onUpdate(event);
+      return;
+    }
+
+    const adapter = ComponentsManager.updateAdapters[version];
+    if (!adapter) {
+      console.warn(
+        `No onUpdate adapter for apiVersion ${version} of component "${component.id}"`
+      );
+      return;
+    }
+    adapter(component.onUpdate.bind(component), event);
+  }
+
+  /**
+   * Register a component
+   * @param {Component} component - The component to register
+   */
+  register(component) {
+    if (!(component instanceof Component)) {
+      console.error("Can only register instances of Component");
+      return false;
+    }
+
+    if (this.components.has(component.id)) {
+      console.warn(`Component with ID "${component.id}" is already registered`);
+      return false;
+    }
+
+    this.components.set(component.id, component);
+    this.categories.add(component.category || Component.DEFAULT_CATEGORY);
+    this.events.emit("component:registered", {
+      componentId: component.id,
+      component,
+    });
+
+    // Add component's editor style if it exists
+    if (component.editorStyle) {
+      this.editorStyles.add(component.editorStyle);
+      this.injectEditorStyles();
+    }
+
+    // Update the UI if already initialized
+    if (this.initialized) {
+      this.renderComponentsPanel();
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove a component definition
+   * Its instances stay in the content as plain markup: their cleanup
+   * callbacks run and they can no longer be edited through the panel.
+   * The component's `editorStyle` is removed from the editor.
+   * @param {string} componentId - The component ID
+   * @returns {boolean} Whether the component was registered
+   */
+  unregister(componentId) {
+    const component = this.components.get(componentId);
+    if (!component) {
+      console.warn(`Component with ID "${componentId}" is not registered`);
+      return false;
+    }
+
+    this.components.delete(componentId);
+    const instances = this._findInstancesOf(componentId);
+    instances.forEach((element) => {
+      this._runCleanups(element);
+      this._applyEditingState(element);
+    });
+
+    this._syncDefinitions();
+    if (this.selectedElement && instances.includes(this.selectedElement)) {
+      this.updatePropertiesPanel();
+    }
+
+    this.events.emit("component:unregistered", {
+      componentId,
+      component,
+      instances: instances.length,
+    });
+    return true;
+  }
+
+  /**
+   * Swap in a new definition for a registered component
+   * Live instances are rebound to it: the old definition's cleanup
+   * callbacks run, the instances are migrated to the new `version`, get the
+   * new properties' defaults and editing state, and components with
+   * `rerender` are regenerated from the new content. Each instance then goes
+   * through the new `onRebind` to reattach what the cleanups released, as
+   * `onInsert` doesn't run again; the selected instance also gets the new
+   * `onFocus`. A component that isn't registered yet is registered.
+   * @param {Component} component - The new definition, with the same ID
+   * @returns {boolean} Whether the definition was replaced or registered
+   */
+  replace(component) {
+    if (!(component instanceof Component)) {
+      console.error("Can only register instances of Component");
+      return false;
+    }
+
+    const previous = this.components.get(component.id);
+    if (!previous) return this.register(component);
+
+    // Map.set keeps the position, the panel order stays the same
+    this.components.set(component.id, component);
+
+    const instances = this._findInstancesOf(component.id);
+    this.transact(`Update ${component.name}`, () => {
+      instances.forEach((element) => {
+        this._runCleanups(element);
+        const migrated = this._migrateInstance(element, component);
+        const current = migrated ? migrated.element : element;
+        if (this.selectedElement === element && current !== element) {
+          this._setSelectedElement(current);
+        }
+        this._initializeInstance(current, component);
+        if (component.rerender) this._rerenderInstance(current, component);
+        try {
+          component.onRebind(this.editor, current, component);
+        } catch (error) {
+          console.error(`Error in onRebind of ${component.name}:`, error);
+        }
+      });
+    });
+
+    this._syncDefinitions();
+
+    const selected = this.selectedElement;
+    if (selected && selected.getAttribute("data-component") === component.id) {
+      if (typeof component.onFocus === "function") {
+        component.onFocus(this.editor, selected, component);
+      }
+      this.updatePropertiesPanel();
+    }
+
+    this.events.emit("component:replaced", {
+      componentId: component.id,
+      component,
+      previous,
+      instances: instances.length,
+    });
+    return true;
+  }
+
+  /**
+   * Load a component pack
+   * A pack declares its name, version, dependencies on other packs, its
+   * components, predefined styles and the CSS/JS it needs in the editor.
+   * Components and styles whose ID or name is already taken are skipped and
+   * reported with a `pack:conflict` event.
+   * @param {Object|string|Promise} pack - Manifest, ES module (or its URL)
+   *   with the manifest as default export, or `import()` of one
+   * @returns {Promise<Object>} The pack's record, resolved once its editor
+   *   files are loaded; rejected on a missing dependency or version conflict
+   * @see ComponentPacks
+   */
+  use(pack) {
+    return this.packs.use(pack);
+  }
+
+  /**
+   * Get the root elements of a component's instances in the editor
+   * @private
+   */
+  _findInstancesOf(componentId) {
+    const body = this.editor.getBody();
+    if (!body) return [];
+    return Array.from(body.querySelectorAll("[data-component]")).filter(
+      (element) => element.getAttribute("data-component") === componentId
+    );
+  }
+
+  /**
+   * Bring the categories, editor styles and panel in line with the
+   * registered components after one was removed or replaced
+   * @private
+   */
+  _syncDefinitions() {
+    const components = Array.from(this.components.values());
+    this.categories = new Set(
+      components.map(
+        (component) => component.category || Component.DEFAULT_CATEGORY
+      )
+    );
+    this.editorStyles = new Set(
+      components.map((component) => component.editorStyle).filter(Boolean)
+    );
+    this.injectEditorStyles();
+
+    if (this.initialized) {
+      this.renderComponentsPanel();
+    }
+  }
+
+  /**
+   * Add or update a predefined style
+   * @param {string} name - Name of the style
+   * @param {Object} style - Style properties (e.g., { color: 'red', 'font-weight': 'bold' })
+   * @returns {ComponentsManager} The ComponentsManager instance for chaining
+   */
+  addStyle(name, style) {
+    if (typeof name !== "string" || !style || typeof style !== "object") {
+      console.error("Invalid style name or properties");
+      return this;
+    }
+    this.styles.set(name, { ...style });
+    return this;
+  }
+
+  /**
+   * Get all predefined styles
+   * @returns {Map} Map of style names to style objects
+   */
+  getStyles() {
+    return new Map(this.styles);
+  }
+
+  /**
+   * Apply a style to the selected element
+   * @param {string} styleName - Name of the style to apply
+   * @param {HTMLElement} [element] - Optional element to apply style to (defaults to selectedElement)
+   * @returns {boolean} True if style was applied, false otherwise
+   */
+  applyStyle(styleName, element = this.selectedElement) {
+    if (!element || !this.styles.has(styleName)) return false;
+
+    const style = this.styles.get(styleName);
+    let styleString = "";
+
+    // Convert style object to CSS string
+    for (const [prop, value] of Object.entries(style)) {
+      styleString += `${prop}:${value};`;
+    }
+
+    // Apply the style
+    const previousStyle = element.style.cssText;
+    element.style.cssText = styleString;
+
+    // Dispatch style-updated event
+    const event = new CustomEvent("style-updated", {
+      detail: {
+        styleName,
+        element,
+        style: styleString,
+      },
+    });
+    document.dispatchEvent(event);
+    this.events.emit("style:applied", {
+      styleName,
+      element,
+      instanceId: element.getAttribute("data-instance-id"),
+      oldValue: previousStyle,
+      newValue: element.style.cssText,
+    });
+
+    // Update the properties panel
+    this.updatePropertiesPanel();
+
+    return true;
+  }
+
+  /**
+   * Remove all inline styles from the selected element
+   * @param {HTMLElement} [element] - Optional element to remove styles from (defaults to selectedElement)
+   */
+  removeStyles(element = this.selectedElement) {
+    if (!element) return;
+
+    // Remove all inline styles
+    const previousStyle = element.style.cssText;
+    element.removeAttribute("style");
+
+    // Dispatch style-updated event
+    const event = new CustomEvent("style-updated", {
+      detail: {
+        styleName: null,
+        element,
+        style: "",
+      },
+    });
+    document.dispatchEvent(event);
+    this.events.emit("style:applied", {
+      styleName: null,
+      element,
+      instanceId: element.getAttribute("data-instance-id"),
+      oldValue: previousStyle,
+      newValue: "",
+    });
+
+    // Update the properties panel
+    this.updatePropertiesPanel();
+  }
+
+  /**
+   * Get the currently applied style for an element
+   * @param {HTMLElement} [element] - Optional element to check (defaults to selectedElement)
+   * @returns {string|null} Name of the matching style or null if no match
+   */
+  getCurrentStyle(element = this.selectedElement) {
+    if (!element) return null;
+
+    // Get all inline styles
+    const currentStyles = element.style;
+    const inlineStyle = {};
+
+    // Convert CSSStyleDeclaration to plain object
+    for (let i = 0; i < currentStyles.length; i++) {
+      const prop = currentStyles[i];
+      inlineStyle[prop] = currentStyles[prop];
+    }
+
+    // Check each registered style for a match
+    for (const [name, style] of this.styles.entries()) {
+      if (this._stylesMatch(style, inlineStyle)) {
+        return name;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Update the properties panel for the given element
+   * @param {HTMLElement} element - The element to update the properties panel for
+   * @private
+   */
+  updatePropertiesPanel(element) {
+    if (!element || !this.propertiesPanel) return;
+
+    // Store scroll position
+    const scrollTop = this.propertiesPanel.scrollTop;
+
+    // Re-render the properties panel
+    this.renderElementProperties(element, this.propertiesPanel);
+
+    // Restore scroll position
+    this.propertiesPanel.scrollTop = scrollTop;
+  }
+
+  /**
+   * Check if two style objects match
+   * @private
+   */
+  _stylesMatch(style1, style2) {
+    const keys1 = Object.keys(style1);
+    const keys2 = Object.keys(style2);
+
+    if (keys1.length !== keys2.length) return false;
+
+    return keys1.every(
+      (key) =>
+        style1[key] === style2[key] ||
+        (style1[key] &&
+          style2[key] &&
+          style1[key].toString() === style2[key].toString())
+    );
+  }
+
+  /**
+   * Get a component by ID
+   * @param {string} id - Component ID
+   * @returns {Component|null} The component or null if not found
+   */
+  getComponent(id) {
+    return this.components.get(id) || null;
+  }
+
+  /**
+   * Initialize the UI
+   * @private
+   */
+  /**
+   * Inject all collected editor styles into the TinyMCE iframe
+   * @private
+   */
+  injectEditorStyles() {
+    if (!this.editor) {
+      return;
+    }
+
+    const inject = () => {
+      try {
+        const doc = this.editor.getDoc();
+        if (!doc) {
+          setTimeout(inject, 100);
+          return;
+        }
+
+        const styleId = "components-editor-styles";
+        let styleElement = doc.getElementById(styleId);
+
+        if (!styleElement) {
+          styleElement = doc.createElement("style");
+          styleElement.id = styleId;
+          doc.head.appendChild(styleElement);
+        }
+
+        // Combine all styles and update the style element
+        const combinedStyles = Array.from(this.editorStyles).join("\n");
+        styleElement.textContent = combinedStyles + `
+          @keyframes blink {
+            from, to { opacity: 1; }
+            50% { opacity: 0.5; }
+          }
+          
+          .drop-indicator {
+            display: inline-block;
+            width: 2px;
+            height: 1.2em;
+            background-color: #4a90e8;
+            vertical-align: text-bottom;
+            margin: 0 1px;
+            position: relative;
+            pointer-events: none;
+            animation: blink 1s step-end infinite;
+          }
+
+          .dragging {
+            display:none;
+          }
+        `;
+      } catch (error) {
+        // Retry after a short delay if there was an error
+        setTimeout(inject, 100);
+      }
+    };
+
+    // Start the injection process
+    inject();
+  }
+
+  /**
+   * Attach the sidebar panels to the manager
+   * Either panel may be left out, e.g. when the components list is rendered
+   * by another UI.
+   * @param {string|HTMLElement} [componentsPanelSelector] - Selector or element for the components panel
+   * @param {string|HTMLElement} [propertiesPanelSelector] - Selector or element for the properties panel
+   * @returns {boolean} Whether every requested panel was found
+   */
+  attachPanels(componentsPanelSelector, propertiesPanelSelector) {
+    const find = (selector) =>
+      typeof selector === "string"
+        ? document.querySelector(selector)
+        : selector || null;
+
+    this.componentsPanel = find(componentsPanelSelector);
+    this.propertiesPanel = find(propertiesPanelSelector);
+
+    const found =
+      (!componentsPanelSelector || this.componentsPanel) &&
+      (!propertiesPanelSelector || this.propertiesPanel);
+    if (!found) {
+      console.error("Could not find one or both panel containers");
+    }
+
+    this.initializeUI();
+    return Boolean(found);
+  }
+
+  initializeUI() {
+    // Initialize components panel
+    if (this.componentsPanel) {
+      this.componentsPanel.innerHTML = `
+        <div class="components-scrollable">
+          <div class="components-tabs"></div>
+          <div class="components-list"></div>
+        </div>
+      `;
+    }
+
+    // Initialize properties panel
+    if (this.propertiesPanel) {
+      this._resetPropertiesPanel();
+
+      // Style fields update the element on every input, record one undo
+      // level once the value is committed. Component properties record
+      // their own level, this one is then skipped as nothing changed.
+      this.propertiesPanel.addEventListener("change", (e) => {
+        if (!this.selectedElement) return;
+        const field = e.target.closest(".property-field");
+        const label = field && field.querySelector("label");
+        this._recordUndoLevel(
+          `Edit ${label ? label.textContent.trim() : "properties"}`
+        );
+      });
+    }
+
+    this.initialized = true;
+    this.renderComponentsPanel();
+
+    // Inject any existing styles
+    if (this.editorStyles.size > 0) {
+      this.injectEditorStyles();
+    }
+  }
+
+  /**
+   * Show the empty properties panel
+   * @private
+   */
+  _resetPropertiesPanel() {
+    if (!this.propertiesPanel) return;
+    this.propertiesPanel.innerHTML = `
+      <div class="properties-scrollable">
+        <div class="properties-header">
+          <h3>Properties</h3>
+          <div class="element-info">Select an element to edit its properties</div>
+        </div>
+        <div class="properties-content"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the components panel with categories
+   * @private
+   */
+  renderComponentsPanel() {
+    if (!this.componentsPanel) return;
+
+    // Get the scrollable container
+    const scrollable = this.componentsPanel.querySelector(
+      ".components-scrollable"
+    );
+    if (!scrollable) return;
+
+    scrollable.innerHTML = "";
+    this.previews.hide();
+
+    // Search box filtering every category at once
+    const search = document.createElement("input");
+    search.type = "search";
+    search.className = "components-search";
+    search.placeholder = "Search components…";
+    search.setAttribute("aria-label", "Search components");
+    search.value = this.panelQuery;
+    search.addEventListener("input", () =>
+      this.filterComponentsPanel(search.value)
+    );
+    scrollable.appendChild(search);
+
+    // Favorites and recently used components
+    const sections = document.createElement("div");
+    sections.className = "components-sections";
+    scrollable.appendChild(sections);
+
+    const results = document.createElement("div");
+    results.className = "components-search-results";
+    results.setAttribute("role", "listbox");
+    results.setAttribute("aria-label", "Matching components");
+    results.addEventListener("keydown", (e) =>
+      this._onComponentItemKeydown(e)
+    );
+    scrollable.appendChild(results);
+
+    const tree = this._categoryTree();
+    if (this.panelLayout === "accordion") {
+      const accordion = document.createElement("div");
+      accordion.className = "components-accordion";
+      tree.forEach((node) => this._renderCategorySection(node, accordion));
+      scrollable.appendChild(accordion);
+    } else {
+      this._renderCategoryTabs(tree, scrollable);
+    }
+
+    this._renderPanelSections();
+    this.filterComponentsPanel(this.panelQuery);
+  }
+
+  /**
+   * Render the top-level categories as tabs
+   * Subcategories become titled groups inside their tab.
+   * @param {Array<Object>} tree - Nodes from _categoryTree()
+   * @param {HTMLElement} container - Element receiving the tabs
+   * @private
+   */
+  _renderCategoryTabs(tree, container) {
     const tabs = document.createElement("div");
     tabs.className = "components-tabs";
+    tabs.setAttribute("role", "tablist");
+    tabs.addEventListener("keydown", (e) => this._onCategoryKeydown(e));
 
-    // Create content container
     const content = document.createElement("div");
     content.className = "components-content";
 
-    // Add tabs and content to the scrollable container
-    scrollable.appendChild(tabs);
-    scrollable.appendChild(content);
+    container.appendChild(tabs);
+    container.appendChild(content);
+
+    // Keep the open tab across re-renders, e.g. when components register
+    if (!tree.some((node) => node.path === this.activeCategory)) {
+      this.activeCategory = tree.length ? tree[0].path : null;
+    }
+
+    tree.forEach((node) => {
+      const active = node.path === this.activeCategory;
+
+      // Tab header
+      const tab = document.createElement("div");
+      tab.className = `tab ${active ? "active" : ""}`;
+      tab.textContent = node.name;
+      tab.dataset.category = node.path;
+      tab.setAttribute("role", "tab");
+      tab.setAttribute("aria-selected", String(active));
+      tab.tabIndex = active ? 0 : -1;
+      tab.addEventListener("click", () => this.switchCategory(node.path));
+      tabs.appendChild(tab);
+
+      // Tab content
+      const tabContent = document.createElement("div");
+      tabContent.className = `tab-content ${active ? "active" : ""}`;
+      tabContent.dataset.category = node.path;
+      tabContent.setAttribute("role", "tabpanel");
+      tabContent.setAttribute("aria-label", `${node.name} components`);
+      tabContent.addEventListener("keydown", (e) =>
+        this._onComponentItemKeydown(e)
+      );
+      this._renderCategoryItems(node, tabContent);
+      content.appendChild(tabContent);
+    });
+  }
+
+  /**
+   * Render a category's components and its subcategories as groups
+   * @param {Object} node - Node from _categoryTree()
+   * @param {HTMLElement} container - Element receiving the items
+   * @private
+   */
+  _renderCategoryItems(node, container) {
+    if (node.components.length === 0 && node.children.length === 0) {
+      container.innerHTML =
+        '<div class="no-components">No components in this category</div>';
+      return;
+    }
+
+    if (node.components.length > 0) {
+      container.appendChild(this._createItemList(node));
+    }
+
+    node.children.forEach((child) => {
+      const group = document.createElement("div");
+      group.className = "components-group";
+      group.dataset.category = child.path;
+      const title = document.createElement("div");
+      title.className = "components-group-title";
+      title.textContent = child.name;
+      group.appendChild(title);
+      this._renderCategoryItems(child, group);
+      container.appendChild(group);
+    });
+  }
+
+  /**
+   * Create the list of a category's own components
+   * @param {Object} node - Node from _categoryTree()
+   * @returns {HTMLElement} The list
+   * @private
+   */
+  _createItemList(node) {
+    const list = document.createElement("div");
+    list.className = "components-items";
+    list.setAttribute("role", "listbox");
+    list.setAttribute("aria-label", `${node.name} components`);
+    node.components.forEach((component, index) => {
+      const item = this.createComponentItem(component);
+      item.tabIndex = index === 0 ? 0 : -1;
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  /**
+   * Render a category as a collapsible section, subcategories nested
+   * @param {Object} node - Node from _categoryTree()
+   * @param {HTMLElement} container - Element receiving the section
+   * @private
+   */
+  _renderCategorySection(node, container) {
+    const expanded = !this.collapsedCategories.has(node.path);
+    const section = document.createElement("div");
+    section.className = "components-category";
+    section.dataset.category = node.path;
+
+    const header = document.createElement("button");
+    header.type = "button";
+    header.className = "components-category-header";
+    header.textContent = node.name;
+    header.setAttribute("aria-expanded", String(expanded));
+
+    const body = document.createElement("div");
+    body.className = "components-category-body";
+    body.hidden = !expanded;
+    body.addEventListener("keydown", (e) => this._onComponentItemKeydown(e));
+
+    header.addEventListener("click", () =>
+      this.toggleCategory(node.path, body.hidden)
+    );
+
+    section.appendChild(header);
+    section.appendChild(body);
+
+    if (node.components.length > 0) {
+      body.appendChild(this._createItemList(node));
+    }
+    node.children.forEach((child) => this._renderCategorySection(child, body));
+
+    container.appendChild(section);
+  }
+
+  /**
+   * Expand or collapse a category section of the accordion layout
+   * @param {string} category - The category path, e.g. `Bootstrap/Navigation`
+   * @param {boolean} [expanded] - Whether to expand it, toggles when omitted
+   */
+  toggleCategory(category, expanded) {
+    const open =
+      expanded === undefined
+        ? this.collapsedCategories.has(category)
+        : Boolean(expanded);
+    if (open) {
+      this.collapsedCategories.delete(category);
+    } else {
+      this.collapsedCategories.add(category);
+    }
+
+    if (!this.componentsPanel) return;
+    const section = Array.from(
+      this.componentsPanel.querySelectorAll(".components-category")
+    ).find((element) => element.dataset.category === category);
+    if (section) {
+      section
+        .querySelector(":scope > .components-category-header")
+        .setAttribute("aria-expanded", String(open));
+      section.querySelector(":scope > .components-category-body").hidden =
+        !open;
+    }
+  }
+
+  /**
+   * Show the categories as tabs or as collapsible sections
+   * @param {string} layout - `"tabs"` or `"accordion"`
+   */
+  setPanelLayout(layout) {
+    if (!ComponentsManager.PANEL_LAYOUTS.includes(layout)) {
+      console.error(`Unknown panel layout "${layout}"`);
+      return;
+    }
+    this.panelLayout = layout;
+    this.renderComponentsPanel();
+  }
+
+  /**
+   * Set the options of a category
+   * @param {string} category - The category path, e.g. `Bootstrap/Navigation`
+   * @param {Object} options
+   * @param {number} [options.order] - Position among its sibling categories,
+   *   lower first; categories without an order keep their registration order
+   * @param {boolean} [options.hidden] - Hide the category, its subcategories
+   *   and their components from the panel
+   * @param {boolean} [options.collapsed] - Start collapsed in the accordion layout
+   */
+  configureCategory(category, options = {}) {
+    const current = this.categoryOptions.get(category) || {};
+    this.categoryOptions.set(category, { ...current, ...options });
+    if (options.collapsed !== undefined) {
+      this.toggleCategory(category, !options.collapsed);
+    }
+    if (this.initialized) this.renderComponentsPanel();
+  }
+
+  /**
+   * Whether a component is shown in the panel, its search and the palette
+   * Hidden components and components of hidden categories can still be
+   * inserted as children and through the API.
+   * @param {Component} component - The component
+   * @returns {boolean} Whether it is listed
+   */
+  isListed(component) {
+    if (!component || component.hidden) return false;
+
+    const parts = this._categoryPath(component);
+    return !parts.some((part, index) => {
+      const options = this.categoryOptions.get(
+        parts.slice(0, index + 1).join("/")
+      );
+      return options && options.hidden;
+    });
+  }
+
+  /**
+   * Split a component's category into its path
+   * @private
+   */
+  _categoryPath(component) {
+    const parts = String(component.category || Component.DEFAULT_CATEGORY)
+      .split("/")
+      .map((part) => part.trim())
+      .filter(Boolean);
+    return parts.length ? parts : [Component.DEFAULT_CATEGORY];
+  }
+
+  /**
+   * Build the category tree of the listed components
+   * @returns {Array<Object>} Top-level nodes: `name`, `path`, `components`
+   *   and `children`, sorted by category `order` and component `order`
+   * @private
+   */
+  _categoryTree() {
+    const root = { children: new Map() };
+    let position = 0; // registration order, to keep the sort stable
+
+    this.components.forEach((component) => {
+      if (!this.isListed(component)) return;
+
+      let node = root;
+      let path = "";
+      this._categoryPath(component).forEach((name) => {
+        path = path ? `${path}/${name}` : name;
+        if (!node.children.has(name)) {
+          node.children.set(name, {
+            name,
+            path,
+            position: position++,
+            components: [],
+            children: new Map(),
+          });
+        }
+        node = node.children.get(name);
+      });
+      node.components.push(component);
+    });
+
+    const order = (node) => {
+      const options = this.categoryOptions.get(node.path);
+      return options && typeof options.order === "number"
+        ? options.order
+        : Number.MAX_SAFE_INTEGER;
+    };
+    const finish = (nodes) =>
+      Array.from(nodes.values())
+        .sort((a, b) => order(a) - order(b) || a.position - b.position)
+        .map((node) => ({
+          name: node.name,
+          path: node.path,
+          // sort() is stable, equal orders keep the registration order
+          components: node.components.sort(
+            (a, b) => (a.order || 0) - (b.order || 0)
+          ),
+          children: finish(node.children),
+        }));
+
+    return finish(root.children);
+  }
+
+  /**
+   * Filter the components panel by a search text
+   * Matches the name, ID, category and keywords of every component, see
+   * ComponentPalette.match(). An empty text shows the category tabs again.
+   * @param {string} query - The search text
+   * @returns {Array<Component>} The matching components, best match first
+   */
+  filterComponentsPanel(query) {
+    this.panelQuery = String(query || "");
+    const matches = this.panelQuery.trim()
+      ? Array.from(this.components.values())
+          .filter((component) => this.isListed(component))
+          .map((component) => ({
+            component,
+            score: ComponentPalette.match(this.panelQuery, component),
+          }))
+          .filter((result) => result.score >= 0)
+          .sort((a, b) => b.score - a.score)
+          .map((result) => result.component)
+      : [];
+
+    if (!this.componentsPanel) return matches;
+    const scrollable = this.componentsPanel.querySelector(
+      ".components-scrollable"
+    );
+    const results =
+      scrollable && scrollable.querySelector(".components-search-results");
+    if (!results) return matches;
+
+    const searching = Boolean(this.panelQuery.trim());
+    scrollable.classList.toggle("searching", searching);
+    results.innerHTML = "";
+
+    if (searching && matches.length === 0) {
+      results.innerHTML =
+        '<div class="no-components">No matching components</div>';
+    }
+    matches.forEach((component, index) => {
+      const item = this.createComponentItem(component);
+      item.tabIndex = index === 0 ? 0 : -1;
+      results.appendChild(item);
+    });
+
+    this._updatePanelAvailability();
+    return matches;
+  }
+
+  /**
+   * Render the favorites and recently used sections of the components panel
+   * @private
+   */
+  _renderPanelSections() {
+    const sections =
+      this.componentsPanel &&
+      this.componentsPanel.querySelector(".components-sections");
+    if (!sections) return;
+
+    sections.innerHTML = "";
+    [
+      ["favorites", "Favorites", this.getFavorites()],
+      ["recent", "Recently used", this.getRecentComponents()],
+    ].forEach(([name, title, ids]) => {
+      const components = ids
+        .map((id) => this.getComponent(id))
+        .filter((component) => this.isListed(component));
+      if (components.length === 0) return;
+
+      const section = document.createElement("div");
+      section.className = "components-section";
+      section.dataset.section = name;
+      section.innerHTML = `
+        <div class="components-section-title">${title}</div>
+      `;
+
+      const list = document.createElement("div");
+      list.className = "components-section-items";
+      list.setAttribute("role", "listbox");
+      list.setAttribute("aria-label", title);
+      list.addEventListener("keydown", (e) =>
+        this._onComponentItemKeydown(e)
+      );
+      components.forEach((component, index) => {
+        const item = this.createComponentItem(component);
+        item.tabIndex = index === 0 ? 0 : -1;
+        list.appendChild(item);
+      });
+
+      section.appendChild(list);
+      sections.appendChild(section);
+    });
+
+    this._updatePanelAvailability();
+  }
+
+  /**
+   * Grey out the panel's components that can't be inserted at the caret
+   * They stay draggable, a drop elsewhere may still be valid.
+   * @private
+   */
+  _updatePanelAvailability() {
+    if (!this.componentsPanel) return;
+
+    const node =
+      this.editor.selection && this.editor.selection.getNode
+        ? this.editor.selection.getNode()
+        : null;
+    const body = this.editor.getBody();
+    const target = node && body && body.contains(node) ? node : body;
+    if (!target) return;
+
+    const verdicts = new Map();
+    this.componentsPanel.querySelectorAll(".component-item").forEach((item) => {
+      const id = item.dataset.componentId;
+      if (!verdicts.has(id)) {
+        const component = this.getComponent(id);
+        verdicts.set(
+          id,
+          component
+            ? this.checkDropTarget(target, component)
+            : { valid: false, reason: null }
+        );
+      }
+      const { valid, reason } = verdicts.get(id);
+      item.classList.toggle("unavailable", !valid);
+      if (valid) {
+        item.removeAttribute("aria-disabled");
+        item.removeAttribute("title");
+      } else {
+        item.setAttribute("aria-disabled", "true");
+        item.title = reason || "Can't be inserted here";
+      }
+    });
+  }
+
+  /**
+   * Get the favorite components of the current user
+   * @returns {Array<string>} Component IDs, in the order they were added
+   */
+  getFavorites() {
+    return this._readStoredList("favorites");
+  }
+
+  /**
+   * Add a component to the favorites, or remove it
+   * @param {string} componentId - The component ID
+   * @param {boolean} [favorite] - Whether it should be a favorite, toggles when omitted
+   * @returns {boolean} Whether the component is a favorite now
+   */
+  toggleFavorite(componentId, favorite) {
+    const favorites = this.getFavorites();
+    const isFavorite = favorites.includes(componentId);
+    const next = favorite === undefined ? !isFavorite : Boolean(favorite);
+    if (next === isFavorite) return next;
+
+    this._writeStoredList(
+      "favorites",
+      next
+        ? [...favorites, componentId]
+        : favorites.filter((id) => id !== componentId)
+    );
+    this._refreshPanelItems();
+    return next;
+  }
+
+  /**
+   * Get the components the current user inserted last
+   * @returns {Array<string>} Component IDs, most recent first
+   */
+  getRecentComponents() {
+    return this._readStoredList("recent");
+  }
+
+  /**
+   * Change where favorites and recents are stored, e.g. per user
+   * @param {string} key - localStorage key prefix
+   */
+  setStorageKey(key) {
+    this.storageKey = key;
+    this._refreshPanelItems();
+  }
+
+  /**
+   * Remember a component inserted from the panel, a drop or the palette
+   * @param {string} componentId - The component ID
+   * @private
+   */
+  _recordRecent(componentId) {
+    const recent = [
+      componentId,
+      ...this.getRecentComponents().filter((id) => id !== componentId),
+    ].slice(0, ComponentsManager.RECENT_LIMIT);
+    this._writeStoredList("recent", recent);
+    this._renderPanelSections();
+  }
+
+  /**
+   * Update the sections and the favorite stars after a change
+   * @private
+   */
+  _refreshPanelItems() {
+    if (!this.componentsPanel) return;
+
+    const favorites = this.getFavorites();
+    this.componentsPanel
+      .querySelectorAll(".component-item .favorite-toggle")
+      .forEach((toggle) => {
+        const id = toggle.closest(".component-item").dataset.componentId;
+        const component = this.getComponent(id);
+        this._setFavoriteToggle(
+          toggle,
+          favorites.includes(id),
+          component ? component.name : id
+        );
+      });
+    this._renderPanelSections();
+  }
+
+  /**
+   * Read a list of component IDs from localStorage
+   * A list localStorage couldn't save is read from memory instead.
+   * @param {string} name - `favorites` or `recent`
+   * @returns {Array<string>} The IDs, empty when nothing was saved
+   * @private
+   */
+  _readStoredList(name) {
+    const key = `${this.storageKey}:${name}`;
+    if (this.unsavedLists.has(key)) return [...this.unsavedLists.get(key)];
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save a list of component IDs to localStorage
+   * @param {string} name - `favorites` or `recent`
+   * @param {Array<string>} ids - The IDs
+   * @private
+   */
+  _writeStoredList(name, ids) {
+    const key = `${this.storageKey}:${name}`;
+    try {
+      localStorage.setItem(key, JSON.stringify(ids));
+      this.unsavedLists.delete(key);
+    } catch (error) {
+      // Storage disabled or full, the list is kept for this page only
+      console.warn(`Could not save the ${name} list:`, error);
+      this.unsavedLists.set(key, [...ids]);
+    }
+  }
+
+  /**
+   * Create a draggable component item
+   * @param {Component} component - The component to create an item for
+   * @returns {HTMLElement} The created component item element
+   * @private
+   */
+  createComponentItem(component) {
+    const item = document.createElement("div");
+    item.className = "component-item";
+    item.draggable = true;
+    item.dataset.componentId = component.id;
+    item.setAttribute("role", "option");
+    item.setAttribute("aria-label", `Insert ${component.name}`);
+
+    item.innerHTML = `
+      <div class="component-icon">${component.icon || "📦"}</div>
+      <div class="component-name">${component.name}</div>
+      <button type="button" class="favorite-toggle" tabindex="-1"></button>
+    `;
+
+    const toggle = item.querySelector(".favorite-toggle");
+    this._setFavoriteToggle(
+      toggle,
+      this.getFavorites().includes(component.id),
+      component.name
+    );
+    toggle.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.toggleFavorite(component.id);
+    });
+
+    this.previews.attach(item, component);
+
+    // Set up drag and drop
+    item.addEventListener("dragstart", (e) => {
+      // Store the component ID in a custom format to prevent text insertion
+      e.dataTransfer.setData("application/x-component-id", component.id);
+      // Also set plain text to empty to prevent any text insertion
+      e.dataTransfer.setData("text/plain", "");
+      e.dataTransfer.effectAllowed = "copy";
+
+      // dataTransfer can't be read during dragover, keep our own copy
+      this.dragState = { componentId: component.id, instanceId: null };
+
+      // Prevent default to avoid any browser-specific drag behaviors
+      e.stopPropagation();
+    });
+
+    return item;
+  }
+
+  /**
+   * Show whether a component is a favorite on its star button
+   * @private
+   */
+  _setFavoriteToggle(toggle, favorite, name) {
+    toggle.textContent = favorite ? "★" : "☆";
+    toggle.classList.toggle("active", favorite);
+    toggle.setAttribute("aria-pressed", String(favorite));
+    toggle.setAttribute(
+      "aria-label",
+      favorite ? `Remove ${name} from favorites` : `Add ${name} to favorites`
+    );
+  }
+
+  /**
+   * Move between category tabs with the arrow keys
+   * @param {KeyboardEvent} e - The keydown event
+   * @private
+   */
+  _onCategoryKeydown(e) {
+    const tabs = Array.from(this.componentsPanel.querySelectorAll(".tab"));
+    const current = tabs.indexOf(e.target);
+    if (current === -1) return;
+
+    const next = {
+      ArrowLeft: current - 1,
+      ArrowRight: current + 1,
+      Home: 0,
+      End: tabs.length - 1,
+    }[e.key];
+    if (next === undefined) return;
+
+    e.preventDefault();
+    const tab = tabs[(next + tabs.length) % tabs.length];
+    this.switchCategory(tab.dataset.category);
+    tab.focus();
+  }
+
+  /**
+   * Move between component items with the arrow keys, insert with Enter
+   * @param {KeyboardEvent} e - The keydown event
+   * @private
+   */
+  _onComponentItemKeydown(e) {
+    const item = e.target.closest && e.target.closest(".component-item");
+    if (!item) return;
+
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      this.insertAtCaret(item.dataset.componentId);
+      return;
+    }
+    if (e.key === "f" || e.key === "F") {
+      e.preventDefault();
+      const favorite = this.toggleFavorite(item.dataset.componentId);
+      this._announce(`${favorite ? "Added to" : "Removed from"} favorites`);
+      return;
+    }
+
+    const items = Array.from(
+      item.parentElement.querySelectorAll(".component-item")
+    );
+    const current = items.indexOf(item);
+    const next = {
+      ArrowUp: current - 1,
+      ArrowLeft: current - 1,
+      ArrowDown: current + 1,
+      ArrowRight: current + 1,
+      Home: 0,
+      End: items.length - 1,
+    }[e.key];
+    if (next === undefined) return;
+
+    e.preventDefault();
+    const target = items[Math.max(0, Math.min(items.length - 1, next))];
+    items.forEach((el) => (el.tabIndex = el === target ? 0 : -1));
+    target.focus();
+  }
+
+  /**
+   * Insert a component at the editor's caret
+   * The keyboard counterpart of dropping a component from the panel.
+   * @param {string} componentId - The component to insert
+   * @returns {HTMLElement|null} The new instance, or null when it can't go there
+   */
+  insertAtCaret(componentId) {
+    const component = this.getComponent(componentId);
+    if (!component) return null;
+
+    const range = this.editor.selection
+      ? this.editor.selection.getRng()
+      : null;
+    const marker = this._placeMarker(range || undefined);
+    if (!marker) return null;
+
+    return this._insertAtMarker(component, marker, "keyboard");
+  }
+
+  /**
+   * Insert a component in place of a marker, or drop the marker when the
+   * nesting rules refuse it there
+   * @param {Component} component - The component to insert
+   * @param {HTMLElement} marker - Marker from _placeMarker()
+   * @param {string} source - Rejection source, see _emitRejection()
+   * @returns {HTMLElement|null} The new instance
+   * @private
+   */
+  _insertAtMarker(component, marker, source) {
+    if (!this.isValidDropTarget(marker.parentNode, component)) {
+      const verdict = this.checkDropTarget(marker.parentNode, component);
+      marker.remove();
+      this._emitRejection(verdict.reason, {
+        componentId: component.id,
+        source,
+      });
+      this._showRejection(verdict.reason);
+      this._announce(verdict.reason || `${component.name} can't go here`);
+      return null;
+    }
 
-    // Create category tabs
-    let firstTab = true;
-    this.categories.forEach((category) => {
-      // Tab header
-      const tab = document.createElement("div");
-      tab.className = `tab ${firstTab ? "active" : ""}`;
-      tab.textContent = category;
-      tab.dataset.category = category;
-      tab.addEventListener("click", () => this.switchCategory(category));
-      tabs.appendChild(tab);
+    const element = this.insertComponent(component, marker);
+    if (!element) {
+      marker.remove();
+      return null;
+    }
 
-      // Tab content
-      const tabContent = document.createElement("div");
-      tabContent.className = `tab-content ${firstTab ? "active" : ""}`;
-      tabContent.dataset.category = category;
+    this._recordRecent(component.id);
+    this.selectElement(element);
+    this.editor.nodeChanged();
+    this._announce(`Inserted ${component.name}`);
+    if (typeof this.editor.focus === "function") this.editor.focus();
+    return element;
+  }
 
-      // Add components for this category
-      const components = Array.from(this.components.values()).filter(
-        (c) => (c.category || "General") === category
-      );
+  /**
+   * Move an instance one step with the keyboard
+   * - `"up"` / `"down"`: swap with the previous / next component in its slot
+   * - `"into"`: move to the end of the previous component's first slot
+   * - `"out"`: move out of the parent component, right after it
+   * The move is checked against the nesting rules and announced.
+   * @param {string} direction - `"up"`, `"down"`, `"into"` or `"out"`
+   * @param {HTMLElement} [element] - The instance, defaults to the selected element
+   * @returns {boolean} Whether the instance moved
+   */
+  nudgeInstance(direction, element = this.selectedElement) {
+    const component =
+      element && this.getComponent(element.getAttribute("data-component"));
+    if (!component || !element.parentElement) return false;
 
-      if (components.length === 0) {
-        tabContent.innerHTML =
-          '<div class="no-components">No components in this category</div>';
-      } else {
-        components.forEach((component) => {
-          const item = this.createComponentItem(component);
-          tabContent.appendChild(item);
-        });
+    const siblings = Array.from(element.parentElement.children).filter(
+      (child) => child.hasAttribute("data-component")
+    );
+    const index = siblings.indexOf(element);
+    const doc = this.editor.getDoc();
+    const marker = doc.createElement("span");
+    marker.setAttribute("data-mce-bogus", "1");
+
+    let placed = false;
+    if (direction === "up" && index > 0) {
+      siblings[index - 1].before(marker);
+      placed = true;
+    } else if (direction === "down" && index < siblings.length - 1) {
+      siblings[index + 1].after(marker);
+      placed = true;
+    } else if (direction === "into" && index > 0) {
+      const slot = this._getSlots(siblings[index - 1])[0];
+      if (slot) {
+        slot.appendChild(marker);
+        placed = true;
+      }
+    } else if (direction === "out") {
+      const slot = this.nestingRules.resolveSlot(element.parentElement);
+      const owner =
+        slot && (slot.element.closest("[data-component]") || null);
+      if (owner && owner !== element) {
+        owner.after(marker);
+        placed = true;
       }
+    }
 
-      content.appendChild(tabContent);
-      firstTab = false;
+    if (!placed) {
+      this._announce(`${component.name} can't move ${direction}`);
+      return false;
+    }
+
+    const verdict = this.checkDropTarget(marker.parentNode, component, {
+      moving: element,
     });
+    if (!verdict.valid) {
+      marker.remove();
+      this._emitRejection(verdict.reason, {
+        componentId: component.id,
+        instanceId: element.getAttribute("data-instance-id"),
+        source: "keyboard",
+      });
+      this._announce(verdict.reason);
+      return false;
+    }
+
+    if (!this._relocateInstance(element, marker, component)) {
+      marker.remove();
+      return false;
+    }
+
+    this.selectElement(element);
+    this.editor.nodeChanged();
+    this._announce(this._describeMove(element, component));
+    return true;
   }
 
   /**
-   * Create a draggable component item
-   * @param {Component} component - The component to create an item for
-   * @returns {HTMLElement} The created component item element
+   * Describe an instance's new position for screen readers
    * @private
    */
-  createComponentItem(component) {
-    const item = document.createElement("div");
-    item.className = "component-item";
-    item.draggable = true;
-    item.dataset.componentId = component.id;
-
-    item.innerHTML = `
-      <div class="component-icon">${component.icon || "📦"}</div>
-      <div class="component-name">${component.name}</div>
-    `;
-
-    // Set up drag and drop
-    item.addEventListener("dragstart", (e) => {
-      // Store the component ID in a custom format to prevent text insertion
-      e.dataTransfer.setData("application/x-component-id", component.id);
-      // Also set plain text to empty to prevent any text insertion
-      e.dataTransfer.setData("text/plain", "");
-      e.dataTransfer.effectAllowed = "copy";
-
-      // Prevent default to avoid any browser-specific drag behaviors
-      e.stopPropagation();
-    });
+  _describeMove(element, component) {
+    const position = this._describePosition(element);
+    const count = Array.from(element.parentElement.children).filter((child) =>
+      child.hasAttribute("data-component")
+    ).length;
+    const parent = position.parentInstanceId
+      ? this._findInstanceElement(position.parentInstanceId)
+      : null;
+    const parentComponent =
+      parent && this.getComponent(parent.getAttribute("data-component"));
+    const where = parentComponent
+      ? ` in ${parentComponent.name}${
+          position.slot && position.slot !== "default"
+            ? ` (${position.slot})`
+            : ""
+        }`
+      : "";
+    return `Moved ${component.name} to position ${position.index + 1} of ${count}${where}`;
+  }
 
-    return item;
+  /**
+   * Read a message to screen reader users through an ARIA live region
+   * @param {string} message - The message
+   * @private
+   */
+  _announce(message) {
+    if (!message || typeof document === "undefined" || !document.body) {
+      return;
+    }
+    if (!this.liveRegion || !this.liveRegion.isConnected) {
+      this.liveRegion = document.createElement("div");
+      this.liveRegion.className = "cm-visually-hidden";
+      this.liveRegion.setAttribute("role", "status");
+      this.liveRegion.setAttribute("aria-live", "polite");
+      document.body.appendChild(this.liveRegion);
+    }
+    // Clear first so repeating the same message is read again
+    this.liveRegion.textContent = "";
+    setTimeout(() => {
+      this.liveRegion.textContent = message;
+    }, 50);
   }
 
   /**
@@ -477,14 +3249,15 @@ class ComponentsManager {
    * @private
    */
   switchCategory(category) {
+    this.activeCategory = category;
+
     // Update active tab
     const tabs = this.componentsPanel.querySelectorAll(".tab");
     tabs.forEach((tab) => {
-      if (tab.dataset.category === category) {
-        tab.classList.add("active");
-      } else {
-        tab.classList.remove("active");
-      }
+      const active = tab.dataset.category === category;
+      tab.classList.toggle("active", active);
+      tab.setAttribute("aria-selected", String(active));
+      tab.tabIndex = active ? 0 : -1;
     });
 
     // Update active content
@@ -501,6 +3274,9 @@ class ComponentsManager {
   /**
    * Reinitialize any existing components in the editor
    * This is called after a page refresh to restore component functionality
+   * and whenever new content is loaded into the editor
+   * @returns {Array<Object>} The instances migrated to a newer schema version,
+   *   see migrateComponents()
    * @private
    */
   reinitializeExistingComponents() {
@@ -509,44 +3285,23 @@ class ComponentsManager {
       console.warn(
         "Editor not fully initialized, skipping component reinitialization"
       );
-      return;
+      return [];
     }
 
+    let report = [];
     try {
+      // Upgrade instances saved with older component definitions first,
+      // migrations may rename properties or replace the markup
+      report = this.migrateComponents();
+      this.lastMigrationReport = report;
+
       const componentElements = this.editor.dom.select("[data-component]");
       componentElements.forEach((element) => {
         const componentId = element.getAttribute("data-component");
         const component = this.getComponent(componentId);
 
         if (component) {
-          // Ensure instance ID exists
-          if (!element.hasAttribute("data-instance-id")) {
-            const instanceId = `comp-${Math.random()
-              .toString(36)
-              .substr(2, 9)}`;
-            element.setAttribute("data-instance-id", instanceId);
-          }
-
-          this.makeComponentDraggable(element);
-
-          // Ensure default properties are set if they don't exist
-          if (component.properties) {
-            Object.entries(component.properties).forEach(
-              ([propName, propDef]) => {
-                const dataAttr = `data-prop-${propName}`;
-                if (
-                  !element.hasAttribute(dataAttr) &&
-                  propDef.default !== undefined
-                ) {
-                  this._savePropertyToElement(
-                    element,
-                    propName,
-                    propDef.default
-                  );
-                }
-              }
-            );
-          }
+          this._initializeInstance(element, component);
         }
       });
 
@@ -564,6 +3319,49 @@ class ComponentsManager {
     } catch (error) {
       console.error("Error reinitializing components:", error);
     }
+
+    if (report.length) {
+      this.editor.fire("ComponentsMigrated", { instances: report });
+    }
+    return report;
+  }
+
+  /**
+   * Prepare an instance found in the content for editing
+   * @param {HTMLElement} element - The component root element
+   * @param {Component} component - The component definition
+   * @private
+   */
+  _initializeInstance(element, component) {
+    // Ensure instance ID exists
+    if (!element.hasAttribute("data-instance-id")) {
+      element.setAttribute("data-instance-id", this.ids.instanceId(component));
+    }
+
+    this.makeComponentDraggable(element);
+    this._applyEditingState(element);
+
+    // Bring values saved as plain strings to their typed encoding
+    this._migratePropertyEncoding(element, component);
+
+    // Ensure default properties are set if they don't exist
+    if (component.properties) {
+      Object.entries(component.properties).forEach(([propName, propDef]) => {
+        const dataAttr = `data-prop-${propName}`;
+        if (
+          !propDef.region &&
+          !element.hasAttribute(dataAttr) &&
+          propDef.default !== undefined
+        ) {
+          this._savePropertyToElement(
+            element,
+            propName,
+            propDef.default,
+            propDef
+          );
+        }
+      });
+    }
   }
 
   placeholder = null;
@@ -636,6 +3434,9 @@ class ComponentsManager {
     const self = this;
     const doc = this.editor.getDoc();
 
+    // Grey out the panel's components that can't go at the caret
+    this.editor.on("NodeChange", () => this._updatePanelAvailability());
+
     this.editor.on("NodeChange", (e) => {
       if(e.type == 'nodechange'){
         e.element.querySelectorAll(':not([draggable])').forEach((el) => {
@@ -666,17 +3467,6 @@ class ComponentsManager {
       const element = doc.elementFromPoint(e.clientX, e.clientY);
       if (!element) return;
 
-      const componentId = e.dataTransfer.getData("application/x-component-id");
-
-      if(componentId){
-        const component = this.getComponent(componentId);
-
-        // Check if we can drop here
-        if (!component || !this.isValidDropTarget(element, component)) {
-          return;
-        }
-      }
-
       // Get the character position under the cursor
       let range;
       if (doc.caretPositionFromPoint) {
@@ -710,6 +3500,24 @@ class ComponentsManager {
         this.placeholder = this.createPlaceholder(doc, range, position);
       }
 
+      // Check if we can drop where the placeholder landed
+      const componentId = this.dragState && this.dragState.componentId;
+      if (componentId) {
+        const verdict = this.checkDropTarget(
+          this.placeholder.parentNode,
+          this.getComponent(componentId),
+          { moving: this._getDraggedInstance(doc) }
+        );
+
+        if (!verdict.valid) {
+          this.lastRejection = verdict.reason;
+          this.removePlaceholder();
+          e.dataTransfer.dropEffect = "none";
+          return false;
+        }
+        this.lastRejection = null;
+      }
+
       return false;
     });
 
@@ -718,6 +3526,8 @@ class ComponentsManager {
       e.preventDefault();
       e.stopPropagation();
 
+      this.dragState = null;
+
       setTimeout(() => {
         this.selectedElement ? this.selectedElement.classList.remove('dragging') : null;
         this.removePlaceholder();
@@ -734,28 +3544,69 @@ class ComponentsManager {
       const componentId = e.dataTransfer.getData("application/x-component-id");
       const instanceId = e.dataTransfer.getData("application/x-component-instance-id");
       let componentElement;
+      this.dragState = null;
 
       if(instanceId){
         if(!this.placeholder){
+          // Only a refused target is a rejection, not a drop outside of any
+          if (this.lastRejection) {
+            this._emitRejection(this.lastRejection, { componentId, instanceId });
+            this._showRejection(this.lastRejection);
+          }
           return;
         }
 
         componentElement = doc.querySelector('[data-instance-id="' + instanceId + '"]');
-        this.placeholder.replaceWith(componentElement);
+        const verdict = this.checkDropTarget(
+          this.placeholder.parentNode,
+          this.getComponent(componentId),
+          { moving: componentElement }
+        );
+        if (!verdict.valid) {
+          this.removePlaceholder();
+          this._emitRejection(verdict.reason, { componentId, instanceId });
+          this._showRejection(verdict.reason);
+          return false;
+        }
+
+        this._relocateInstance(
+          componentElement,
+          this.placeholder,
+          this.getComponent(componentId)
+        );
+        this.removePlaceholder();
+        this.editor.nodeChanged();
       } else if(componentId) {
         const component = this.getComponent(componentId);
         
         if(!this.placeholder || !component){
+          if (this.lastRejection) {
+            this._emitRejection(this.lastRejection, { componentId });
+            this._showRejection(this.lastRejection);
+          }
+          return false;
+        }
+
+        const verdict = this.checkDropTarget(this.placeholder.parentNode, component);
+        if (!verdict.valid) {
+          this.removePlaceholder();
+          this._emitRejection(verdict.reason, { componentId });
+          this._showRejection(verdict.reason);
           return false;
         }
 
-        this.insertComponent(component, this.placeholder);
+        if (this.insertComponent(component, this.placeholder)) {
+          this._recordRecent(component.id);
+        }
+        this.removePlaceholder();
         this.editor.nodeChanged();
       } else {
         // normal html elements
         try {
           if (this.placeholder && this.selectedElement && !this.selectedElement.contains(this.placeholder)) {
-            this.placeholder.replaceWith(this.selectedElement);
+            this.transact("Move element", () => {
+              this.placeholder.replaceWith(this.selectedElement);
+            });
           }
         } catch (error) {
           console.error('Error during drop:', error);
@@ -765,85 +3616,603 @@ class ComponentsManager {
         }
       }
 
-      return false;
-    });
+      return false;
+    });
+
+    document.addEventListener('dragend', (e) => {
+      if (e.target.classList.contains('component-item')) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.dragState = null;
+
+        setTimeout(() => {
+          this.removePlaceholder();
+        }, 500)
+
+        return false;
+      }
+    }, true); 
+
+    // Undo/redo replace the content, reattach the selection and runtimes
+    this.editor.on("Undo Redo", () => {
+      // Removals from this change reach the observer before the reset
+      this._historyChange = true;
+      Promise.resolve().then(() => {
+        this._historyChange = false;
+      });
+      this._restoreAfterHistoryChange();
+    });
+
+    // Call onRemove for instances deleted by the editor itself
+    this._observeRemovals();
+
+    // Migrate and restore components of newly loaded content
+    this.editor.on("SetContent", (e) => {
+      if (!e.selection) {
+        this.reinitializeExistingComponents();
+      }
+    });
+
+    // `/` in an empty paragraph or Ctrl+K opens the quick insert palette.
+    // Prepended so Ctrl+K doesn't reach TinyMCE's link shortcut.
+    this.editor.on(
+      "keydown",
+      (e) => {
+        const shortcut =
+          (e.ctrlKey || e.metaKey) &&
+          !e.altKey &&
+          !e.shiftKey &&
+          (e.key === "k" || e.key === "K");
+        const slash =
+          e.key === "/" &&
+          !e.ctrlKey &&
+          !e.metaKey &&
+          !e.altKey &&
+          this.editor.selection &&
+          ComponentPalette._emptyParagraphAt(this.editor.selection.getRng());
+        if (!shortcut && !slash) return;
+
+        e.preventDefault();
+        this.palette.open();
+      },
+      true
+    );
+
+    // Alt+Shift+Arrow moves the selected component
+    this.editor.on("keydown", (e) => {
+      if (!e.altKey || !e.shiftKey || !this.selectedElement) return;
+      const direction = {
+        ArrowUp: "up",
+        ArrowDown: "down",
+        ArrowRight: "into",
+        ArrowLeft: "out",
+      }[e.key];
+      if (!direction || !this.selectedElement.hasAttribute("data-component")) {
+        return;
+      }
+      e.preventDefault();
+      this.nudgeInstance(direction);
+    });
+
+    // Protected structure survives keyboard deletion, cut and commands
+    this.editor.on(
+      "keydown",
+      (e) => {
+        const direction =
+          e.key === "Backspace"
+            ? "backward"
+            : e.key === "Delete"
+            ? "forward"
+            : null;
+        const typing =
+          e.key === "Enter" ||
+          (e.key && e.key.length === 1 && !e.ctrlKey && !e.metaKey);
+        if (!direction && !typing) return;
+
+        const range = this.editor.selection.getRng();
+        if (!direction && range.collapsed) return;
+        if (this._guardProtectedEdit(range, direction)) {
+          e.preventDefault();
+        }
+      },
+      true
+    );
+    this.editor.on(
+      "cut",
+      (e) => {
+        if (this._guardProtectedEdit(this.editor.selection.getRng())) {
+          // Still copied, just not removed
+          e.preventDefault();
+          e.cutRefused = true;
+        }
+      },
+      true
+    );
+    this.editor.on("BeforeExecCommand", (e) => {
+      const command = String(e.command).toLowerCase();
+      const blockFormat = ComponentsManager._isBlockFormat(command, e.value);
+      if (
+        !blockFormat &&
+        !ComponentsManager.STRUCTURE_COMMANDS.includes(command)
+      ) {
+        return;
+      }
+
+      const direction =
+        command === "delete"
+          ? "backward"
+          : command === "forwarddelete"
+          ? "forward"
+          : null;
+      const range = this.editor.selection.getRng();
+      if (
+        this._guardProtectedEdit(range, direction) ||
+        (blockFormat && this._guardProtectedBlocks(range))
+      ) {
+        e.preventDefault();
+      }
+    });
+
+    // Copied components carry their tree next to the HTML
+    this.editor.on("copy", (e) => this._copySelection(e, false));
+    this.editor.on("cut", (e) => this._copySelection(e, true));
+
+    // Paste our own format before TinyMCE parses the HTML
+    this.editor.on(
+      "paste",
+      (e) => {
+        const data =
+          e.clipboardData &&
+          e.clipboardData.getData(ComponentsManager.CLIPBOARD_TYPE);
+        if (!data) return;
+
+        let tree;
+        try {
+          tree = JSON.parse(data);
+        } catch (error) {
+          console.warn("Ignoring invalid components clipboard data");
+          return;
+        }
+
+        e.preventDefault();
+        this.pasteTree(tree);
+      },
+      true
+    );
+
+    // Give pasted HTML components fresh IDs, then enforce nesting rules
+    this.editor.on("PastePostProcess", (e) => {
+      this._regenerateIds(e.node);
+      this._enforcePasteRules(e.node);
+
+      // Pasting into a region keeps to its mode
+      const region = this._getRegionAt(this.editor.selection.getNode());
+      if (region) this._normalizeRegion(e.node, this._regionMode(region));
+    });
+
+    // Enter doesn't start a new block in text and inline regions
+    this.editor.on("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      const mode = this._regionMode(
+        this._getRegionAt(this.editor.selection.getNode())
+      );
+      if (mode === "text") {
+        e.preventDefault();
+      } else if (mode === "inline" && !e.shiftKey) {
+        e.preventDefault();
+        this.editor.execCommand("InsertLineBreak");
+      }
+    });
+
+    // Refuse formatting a region's mode doesn't allow
+    this.editor.on("BeforeExecCommand", (e) => {
+      const mode = this._regionMode(
+        this._getRegionAt(this.editor.selection.getNode())
+      );
+      if (!mode || mode === "block") return;
+
+      const command = String(e.command).toLowerCase();
+      const refused = [
+        ...ComponentsManager.REGION_COMMANDS.inline,
+        ...(mode === "text" ? ComponentsManager.REGION_COMMANDS.text : []),
+      ];
+      const blockFormat =
+        command === "mcetoggleformat" &&
+        ComponentsManager.BLOCK_ELEMENTS.includes(String(e.value).toUpperCase());
+      if (refused.includes(command) || blockFormat) {
+        e.preventDefault();
+      }
+    });
+  }
+
+  /**
+   * Put the selected components on the clipboard as a component tree
+   * @param {ClipboardEvent} e - The copy or cut event
+   * @param {boolean} isCut - Whether the selection should be removed
+   * @private
+   */
+  _copySelection(e, isCut) {
+    const data = e.clipboardData;
+    if (!data) return;
+
+    const tree = this._selectionToJSON();
+    if (!tree) return;
+
+    // TinyMCE may already have filled in the HTML and deleted a cut
+    const handled =
+      !e.cutRefused &&
+      typeof e.isDefaultPrevented === "function" &&
+      e.isDefaultPrevented();
+    if (!handled) {
+      data.setData("text/html", this.editor.selection.getContent());
+      data.setData(
+        "text/plain",
+        this.editor.selection.getContent({ format: "text" })
+      );
+    }
+    data.setData(ComponentsManager.CLIPBOARD_TYPE, JSON.stringify(tree));
+    e.preventDefault();
+
+    if (isCut && !handled && !e.cutRefused) {
+      this.editor.execCommand("Delete");
+    }
+  }
+
+  /**
+   * Get the components in the selection as a tree
+   * A collapsed selection copies the selected component.
+   * @returns {Object|null} The tree, or null when no component is selected
+   * @private
+   */
+  _selectionToJSON() {
+    const range = this.editor.selection.getRng();
+    let nodes;
+
+    if (range.collapsed) {
+      if (
+        !this.selectedElement ||
+        !this.selectedElement.hasAttribute("data-component")
+      ) {
+        return null;
+      }
+      nodes = [this.selectedElement];
+    } else {
+      nodes = Array.from(range.cloneContents().childNodes);
+    }
+
+    const children = this._nodesToJSON(nodes);
+    if (!children.some((node) => this._treeHasComponent(node))) {
+      return null;
+    }
+    return { version: ComponentsManager.TREE_VERSION, children };
+  }
+
+  /**
+   * Check whether a tree node is or contains a component
+   * @private
+   */
+  _treeHasComponent(node) {
+    return (
+      node.type === "component" ||
+      (node.type === "element" &&
+        (node.children || []).some((child) => this._treeHasComponent(child)))
+    );
+  }
+
+  /**
+   * Insert a component tree (from toJSON() or the clipboard) at the caret
+   * Instances and the elements in them get new IDs, the references to
+   * those IDs inside the tree are renamed with them.
+   * @param {{version: number, children: Array<Object>}} tree - The tree
+   * @returns {Array<HTMLElement>} The inserted top-level nodes
+   */
+  pasteTree(tree) {
+    if (!tree || !Array.isArray(tree.children)) {
+      console.error("Invalid component tree");
+      return [];
+    }
+
+    const doc = this.editor.getDoc();
+    const container = doc.createElement("div");
+    const ids = new Map();
+    const children = this._renameTreeInstances(tree.children, ids);
+    let inserted = [];
+
+    this.transact("Paste components", () => {
+      this._buildNodes(children, container);
+      this.migrateComponents(container);
+      this._regenerateIds(container, ids);
+
+      const range = this.editor.selection.getRng();
+      if (!range.collapsed) range.deleteContents();
+      const marker = doc.createElement("span");
+      range.insertNode(marker);
+
+      this._enforcePasteRules(container, marker.parentNode);
+      inserted = Array.from(container.childNodes);
+      marker.replaceWith(...inserted);
+    });
+
+    this.editor.nodeChanged();
+    return inserted;
+  }
+
+  /**
+   * Copy tree nodes, giving every component a new instance ID
+   * New IDs are assigned before building so insert events carry them.
+   * @param {Array<Object>} nodes - Tree nodes
+   * @param {Map<string, string>} ids - Collects old ID to new ID
+   * @returns {Array<Object>} The copied nodes
+   * @private
+   */
+  _renameTreeInstances(nodes, ids) {
+    return nodes.filter(Boolean).map((node) => {
+      if (node.type === "element") {
+        return {
+          ...node,
+          children: this._renameTreeInstances(node.children || [], ids),
+        };
+      }
+      if (node.type !== "component") return node;
+
+      const instanceId = this.ids.instanceId(
+        this.getComponent(node.component)
+      );
+      if (node.instanceId) ids.set(node.instanceId, instanceId);
+
+      const slots = {};
+      Object.entries(node.slots || {}).forEach(([name, slotNodes]) => {
+        slots[name] = this._renameTreeInstances(slotNodes, ids);
+      });
+      return { ...node, instanceId, slots };
+    });
+  }
+
+  /**
+   * Duplicate a component instance right after itself
+   * @param {HTMLElement} [element] - The component root, defaults to the selected element
+   * @returns {HTMLElement|null} The copy, or null when it can't be placed there
+   */
+  duplicate(element = this.selectedElement) {
+    const component =
+      element && this.getComponent(element.getAttribute("data-component"));
+    if (!component || !element.parentNode) return null;
+
+    const verdict = this.checkDropTarget(element.parentNode, component);
+    if (!verdict.valid) {
+      this._emitRejection(verdict.reason, {
+        componentId: component.id,
+        instanceId: element.getAttribute("data-instance-id"),
+        source: "api",
+      });
+      this._showRejection(verdict.reason);
+      return null;
+    }
+
+    const copy = element.cloneNode(true);
+    copy.classList.remove("dragging", "cm-selected");
+
+    const before = this.events.emit(
+      "component:beforeInsert",
+      {
+        componentId: component.id,
+        component,
+        target: element.parentNode,
+        props: this._getPropertiesFromElement(element, component.properties),
+        child: false,
+      },
+      { cancelable: true }
+    );
+    if (before.defaultPrevented) return null;
 
-    document.addEventListener('dragend', (e) => {
-      if (e.target.classList.contains('component-item')) {
-        e.preventDefault();
-        e.stopPropagation();
+    this.transact(`Duplicate ${component.name}`, () => {
+      this._regenerateIds(copy);
+      element.after(copy);
+    });
 
-        setTimeout(() => {
-          this.removePlaceholder();
-        }, 500)
+    // Listeners aren't cloned, runtimes come back through onFocus
+    this._collectInstances(copy).forEach((instance) => {
+      this.makeComponentDraggable(instance);
+      const definition = this.getComponent(
+        instance.getAttribute("data-component")
+      );
+      this.events.emit("component:inserted", {
+        componentId: definition ? definition.id : null,
+        instanceId: instance.getAttribute("data-instance-id"),
+        element: instance,
+        props: definition
+          ? this._getPropertiesFromElement(instance, definition.properties)
+          : {},
+        to: this._describePosition(instance),
+        child: instance !== copy,
+      });
+    });
 
-        return false;
-      }
-    }, true); 
+    this.selectElement(copy);
+    this.editor.nodeChanged();
+    return copy;
   }
 
   /**
-   * Check if a target is a valid drop target for a component
-   * @param {HTMLElement} target - The target element
-   * @param {Component} component - The component being dropped
-   * @returns {boolean} Whether the drop is valid
+   * Give copied content fresh IDs
+   * Every instance ID is replaced, and so is every element ID inside a
+   * component, so a copied tab set never shares IDs with its original.
+   * Other element IDs (a pasted `<h2 id="intro">`) are kept unless the
+   * document already uses them. References to the replaced IDs inside the
+   * content (`data-bs-target="#…"`, `aria-controls`, `data-prop-*`
+   * values, ...) are updated to match.
+   * @param {HTMLElement} root - The copied content
+   * @param {Map<string, string>} [ids] - IDs already replaced, their new
+   *   instance IDs are kept
+   * @returns {Map<string, string>} Old ID to new ID
    * @private
    */
-  isValidDropTarget(target, component) {
-    if (!component) {
-      return false; // Invalid component
-    }
-
-    if(target.nodeType === Node.TEXT_NODE){
-      target = target.parentNode;
-    }
+  _regenerateIds(root, ids = new Map()) {
+    if (!root) return ids;
 
-    // Check if target is a valid drop zone (has data-component-children)
-    if (target.hasAttribute("data-component-children")) {
-      const containerName = target.getAttribute("data-component-children");
+    const doc = this.editor.getDoc();
+    const elements = [root, ...root.querySelectorAll("*")];
+    const fresh = new Set(ids.values());
+    const takenOutside = (element, id) => {
+      const existing = doc.getElementById(id);
+      return existing && existing !== element && !root.contains(existing);
+    };
 
-      // Find the parent component
-      const parentComponentElement = target.closest("[data-component]");
-      if (parentComponentElement) {
-        const parentComponentId =
-          parentComponentElement.getAttribute("data-component");
-        const parentComponent = this.getComponent(parentComponentId);
+    elements.forEach((element) => {
+      const instanceId = element.getAttribute("data-instance-id");
+      if (instanceId && !fresh.has(instanceId)) {
+        const next = this.ids.instanceId(
+          this.getComponent(element.getAttribute("data-component"))
+        );
+        ids.set(instanceId, next);
+        element.setAttribute("data-instance-id", next);
+      }
 
-        if (parentComponent && parentComponent.allowed) {
-          // Get allowed components for this container
-          const allowedComponents = parentComponent.allowed[containerName];
+      const id = element.id;
+      if (
+        id &&
+        !ids.has(id) &&
+        (element.closest("[data-component]") || takenOutside(element, id))
+      ) {
+        const next = this.ids.generate(this.ids.prefixOf(id));
+        ids.set(id, next);
+        element.id = next;
+      }
+    });
 
-          if (allowedComponents) {
-            // If allowed is an object, check if component ID is in the values
-            if (
-              typeof allowedComponents === "object" &&
-              !Array.isArray(allowedComponents)
-            ) {
-              return Object.values(allowedComponents).includes(component.id);
-            }
-            // If allowed is an array, check if component ID is in the array
-            else if (Array.isArray(allowedComponents)) {
-              return allowedComponents.includes(component.id);
-            }
-            // If allowed is a string, check for direct match
-            else if (typeof allowedComponents === "string") {
-              return allowedComponents === component.id;
-            }
+    this._remapIdReferences(elements, ids);
+    return ids;
+  }
 
-            // No matching allowed components
-            return false;
+  /**
+   * Point ID references at renamed IDs
+   * @param {Array<HTMLElement>} elements - The elements to update
+   * @param {Map<string, string>} ids - Old ID to new ID
+   * @private
+   */
+  _remapIdReferences(elements, ids) {
+    if (!ids.size) return;
+
+    const remap = (value) =>
+      value
+        .split(/(\s+)/)
+        .map((token) => {
+          if (token.startsWith("#") && ids.has(token.slice(1))) {
+            return `#${ids.get(token.slice(1))}`;
           }
+          return ids.has(token) ? ids.get(token) : token;
+        })
+        .join("");
+
+    elements.forEach((element) => {
+      Array.from(element.attributes).forEach((attr) => {
+        if (
+          attr.name.startsWith("data-prop-") ||
+          ComponentsManager.ID_REFERENCE_ATTRIBUTES.includes(attr.name)
+        ) {
+          const value = remap(attr.value);
+          if (value !== attr.value) element.setAttribute(attr.name, value);
         }
-      }
+      });
+    });
+  }
+
+  /**
+   * Get the component instance currently being dragged, if any
+   * @param {Document} doc - The editor document
+   * @returns {HTMLElement|null} The dragged instance
+   * @private
+   */
+  _getDraggedInstance(doc) {
+    const instanceId = this.dragState && this.dragState.instanceId;
+    return instanceId
+      ? doc.querySelector(`[data-instance-id="${instanceId}"]`)
+      : null;
+  }
+
+  /**
+   * Remove pasted components that may not be placed at the caret
+   * @param {HTMLElement} root - The pasted content
+   * @param {HTMLElement} [target] - Where it goes, defaults to the selected node
+   * @private
+   */
+  _enforcePasteRules(root, target = this.editor.selection.getNode()) {
+    if (!root) return;
+
+    const reasons = [];
+
+    // Only top-level components are checked, nested ones came with a valid parent
+    Array.from(root.querySelectorAll("[data-component]"))
+      .filter((element) => {
+        const parent =
+          element.parentElement &&
+          element.parentElement.closest("[data-component]");
+        return !parent || !root.contains(parent);
+      })
+      .forEach((element) => {
+        const component = this.getComponent(
+          element.getAttribute("data-component")
+        );
+        if (!component) return;
+
+        const verdict = this.checkDropTarget(target, component);
+        if (!verdict.valid) {
+          element.remove();
+          reasons.push(verdict.reason);
+          this._emitRejection(verdict.reason, {
+            componentId: component.id,
+            instanceId: element.getAttribute("data-instance-id"),
+            source: "paste",
+          });
+        }
+      });
+
+    if (reasons.length) {
+      this._showRejection(reasons.join("\n"));
     }
+  }
 
-    // If component has a restriction method, use its result
-    if (typeof component.restriction === "function") {
-      return component.restriction(target);
+  /**
+   * Tell the user why a component was refused
+   * @param {string|null} reason - The rejection reason
+   * @private
+   */
+  _showRejection(reason) {
+    if (!reason) return;
+
+    if (this.editor && this.editor.notificationManager) {
+      this.editor.notificationManager.open({
+        text: reason,
+        type: "warning",
+        timeout: 3000,
+      });
+    } else {
+      console.warn(reason);
     }
+  }
 
-    // No restrictions, allow the drop
-    return true;
+  /**
+   * Check if a target is a valid drop target for a component
+   * @param {HTMLElement} target - The target element
+   * @param {Component} component - The component being dropped
+   * @param {Object} [options] - See checkDropTarget
+   * @returns {boolean} Whether the drop is valid
+   * @private
+   */
+  isValidDropTarget(target, component, options = {}) {
+    return this.checkDropTarget(target, component, options).valid;
+  }
+
+  /**
+   * Check a drop target against the nesting rules and explain a rejection
+   * @param {HTMLElement} target - The element the component goes into
+   * @param {Component} component - The component being placed
+   * @param {Object} [options]
+   * @param {HTMLElement} [options.moving] - Existing instance being moved
+   * @returns {{valid: boolean, reason: string|null}} The verdict
+   */
+  checkDropTarget(target, component, options = {}) {
+    return this.nestingRules.check(component, target, options);
   }
 
   /**
@@ -851,24 +4220,81 @@ class ComponentsManager {
    * @param {Component} component - The component to insert
    * @param {HTMLElement} target - The target element to insert into
    * @param {boolean} isChild - Whether this is a child component being inserted
-   * @private
+   * @param {Object} [options]
+   * @param {Object} [options.props] - Property values overriding the defaults
+   * @param {string} [options.instanceId] - Instance ID to use instead of a new one
+   * @param {Function} [options.fillSlots] - Called with the root element to fill
+   *   its slots instead of inserting the configured child components
+   * @param {string} [options.markup] - Saved HTML of the instance (slots
+   *   empty) used instead of the component's content()
+   * @param {boolean} [options.restore=false] - Rebuilding saved content,
+   *   `onInsert` doesn't run
+   * @param {boolean} [options.child=false] - Inserted together with its
+   *   parent component, reported as `child` in the insert events
+   * @returns {HTMLElement|null} The component root element
    */
-  insertComponent(component, target, isChild = false) {
+  insertComponent(component, target, isChild = false, options = {}) {
     if (!component) return null;
 
+    const before = this.events.emit(
+      "component:beforeInsert",
+      {
+        componentId: component.id,
+        component,
+        target,
+        props: options.props || {},
+        child: Boolean(options.child),
+      },
+      { cancelable: true }
+    );
+    if (before.defaultPrevented) return null;
+
+    // The component and all of its children form a single undo level
+    const element = this.transact(`Insert ${component.name}`, () =>
+      this._insertComponent(component, target, isChild, options)
+    );
+
+    if (element) {
+      this.events.emit("component:inserted", {
+        componentId: component.id,
+        instanceId: element.getAttribute("data-instance-id"),
+        element,
+        props: this._getPropertiesFromElement(element, component.properties),
+        to: this._describePosition(element),
+        child: Boolean(options.child),
+      });
+    }
+    return element;
+  }
+
+  /**
+   * Build and place a component instance, see insertComponent()
+   * @private
+   */
+  _insertComponent(component, target, isChild, options) {
+
     // Generate a unique instance ID
-    const instanceId = `comp-${Math.random().toString(36).substr(2, 9)}`;
+    const instanceId = options.instanceId || this.ids.instanceId(component);
     
     // Get default property values for component content generation
     const defaultProps = {};
     Object.entries(component.properties).forEach(([key, prop]) => {
       defaultProps[key] = prop.value !== undefined ? prop.value : prop.default;
     });
+    Object.assign(defaultProps, options.props || {});
 
-    // Get the component's HTML content
-    const componentHtml = typeof component.content === 'function' 
-      ? component.content(defaultProps) 
-      : component.content;
+    // Get the component's HTML content, saved markup is used as is
+    let componentHtml;
+    if (options.markup) {
+      componentHtml = options.markup;
+    } else {
+      componentHtml = typeof component.content === 'function' 
+        ? component.content(
+            defaultProps,
+            this._createContentContext(target, isChild, instanceId)
+          )
+        : component.content;
+    }
 
     // Create a document fragment to build our component
     const fragment = document.createDocumentFragment();
@@ -890,16 +4316,17 @@ class ComponentsManager {
     // Add component metadata
     rootElement.setAttribute('data-component', component.id);
     rootElement.setAttribute('data-instance-id', instanceId);
+    // Saved markup keeps its version so migrations can upgrade it
+    if (!options.markup || !rootElement.hasAttribute('data-component-version')) {
+      rootElement.setAttribute('data-component-version', component.version);
+    }
 
-    // Get the current property values and save them to data attributes
-    const props = {};
+    // Save the property values to data attributes
     Object.entries(component.properties).forEach(([key, prop]) => {
-      props[key] = prop.value !== undefined ? prop.value : prop.default;
-      // Save property to data attribute
-      if(typeof props[key] === 'undefined'){
+      if(typeof defaultProps[key] === 'undefined'){
         return;
       }
-      rootElement.setAttribute(`data-prop-${key}`, props[key]);
+      this._savePropertyToElement(rootElement, key, defaultProps[key], prop);
     });
     
     if (isChild && target) {
@@ -922,24 +4349,74 @@ class ComponentsManager {
     }
     
     // Process child components if any
-    if (component.children && rootElement) {
+    if (typeof options.fillSlots === 'function') {
+      options.fillSlots(rootElement);
+    } else if (component.children && rootElement) {
       this._addChildComponents(component, rootElement, instanceId);
     }
     
     // Call onInsert if defined
-    if (typeof component.onInsert === 'function' && rootElement) {
+    if (
+      !options.restore &&
+      typeof component.onInsert === 'function' &&
+      rootElement
+    ) {
       component.onInsert(this.editor, rootElement, component);
     }
 
     this.makeComponentDraggable(rootElement);
+    this._applyEditingState(rootElement);
 
     return rootElement;
   }
   
   /**
-   * Add child components to a parent component
+   * Describe where a component is being rendered, for its content()
+   * @param {HTMLElement} target - The insertion target, see insertComponent()
+   * @param {boolean} isChild - Whether the component is appended to the target
+   * @param {string} instanceId - The new instance's ID
+   * @returns {Object} The context passed as content()'s second argument
    * @private
    */
+  _createContentContext(target, isChild, instanceId) {
+    const container = isChild ? target : target && target.parentElement;
+    let parent = null;
+    let slotName = null;
+    let index = 0;
+
+    if (container) {
+      const slot = this.nestingRules.resolveSlot(container);
+      const owner = (slot ? slot.element : container).closest(
+        "[data-component]"
+      );
+      if (owner) {
+        parent = {
+          id: owner.getAttribute("data-instance-id"),
+          component: this.getComponent(owner.getAttribute("data-component")),
+          element: owner,
+        };
+      }
+      slotName = slot ? slot.name : null;
+
+      // Components before the insertion point
+      for (const child of container.children) {
+        if (!isChild && child === target) break;
+        if (child.hasAttribute("data-component")) index++;
+      }
+    }
+
+    return {
+      manager: this,
+      editor: this.editor,
+      ids: this.ids,
+      instanceId,
+      parent,
+      slotName,
+      index,
+      slot: (name = "default") => `data-component-children="${name}"`,
+    };
+  }
+
   /**
    * Add child components to a parent component
    * @param {Component} component - The parent component
@@ -959,7 +4436,10 @@ class ComponentsManager {
       const childComponent = this.getComponent(containerConfig.id);
       if (childComponent) {
         for (let i = 0; i < containerConfig.count; i++) {
-          this.insertComponent(childComponent, container, true);
+          this.insertComponent(childComponent, container, true, {
+            props: containerConfig.props,
+            child: true,
+          });
         }
       }
     }
@@ -994,7 +4474,8 @@ class ComponentsManager {
             else if (childConfig.count) {
               insertChildComponent(container, {
                 id: childName,
-                count: childConfig.count
+                count: childConfig.count,
+                props: childConfig.props
               });
             }
           }
@@ -1020,6 +4501,10 @@ class ComponentsManager {
     componentElement.addEventListener('dragstart', (e) => {
       e.dataTransfer.setData('application/x-component-instance-id', componentElement.getAttribute('data-instance-id') || 'component');
       e.dataTransfer.setData('application/x-component-id', componentElement.getAttribute('data-component') || 'component');
+      this.dragState = {
+        componentId: componentElement.getAttribute('data-component'),
+        instanceId: componentElement.getAttribute('data-instance-id'),
+      };
       e.dropEffect = 'move';
       e.stopPropagation();
     });
@@ -1033,7 +4518,7 @@ class ComponentsManager {
     try {
       // Skip if no element provided or already selected the same element
       if (!element) {
-        this.selectedElement = null;
+        this._setSelectedElement(null);
         this.updatePropertiesPanel();
         return;
       }
@@ -1058,7 +4543,10 @@ class ComponentsManager {
       let selectedElement = element;
 
       // If we found a component element and we're not already selecting it
-      if (element.hasAttribute("data-component") && ! this.selectedElement.isEqualNode(element)) {
+      if (
+        element.hasAttribute("data-component") &&
+        (!this.selectedElement || !this.selectedElement.isEqualNode(element))
+      ) {
         const componentDef = this.getComponent(element.getAttribute('data-component'));
         if(componentDef.onFocus){
           componentDef.onFocus(this.editor, element, componentDef);
@@ -1067,7 +4555,7 @@ class ComponentsManager {
       }
 
       // Update the selected element
-      this.selectedElement = selectedElement;
+      this._setSelectedElement(selectedElement);
 
       // Always update the properties panel
       this.updatePropertiesPanel();
@@ -1187,7 +4675,7 @@ class ComponentsManager {
    * @private
    */
   updatePropertiesPanel() {
-    if (!this.selectedElement) return;
+    if (!this.selectedElement || !this.propertiesPanel) return;
 
     // Get the scrollable container and content
     const scrollable = this.propertiesPanel.querySelector(
@@ -1224,6 +4712,28 @@ class ComponentsManager {
         <div class="element-info">Editing ${component.name} component</div>
       `;
 
+      const duplicateButton = document.createElement("button");
+      duplicateButton.type = "button";
+      duplicateButton.className = "duplicate-component";
+      duplicateButton.textContent = "Duplicate";
+      duplicateButton.addEventListener("click", () => this.duplicate());
+      header.appendChild(duplicateButton);
+
+      if (
+        this.allowUnlock &&
+        this.getProtection(this.selectedElement) !== "free"
+      ) {
+        const unlock = document.createElement("label");
+        unlock.className = "unlock-toggle";
+        unlock.innerHTML = `<input type="checkbox"> Unlock protected components`;
+        const checkbox = unlock.querySelector("input");
+        checkbox.checked = this.locksLifted;
+        checkbox.addEventListener("change", () =>
+          this.liftLocks(checkbox.checked)
+        );
+        header.appendChild(unlock);
+      }
+
       // Get current properties from data attributes
       const currentProps = component.properties
         ? this._getPropertiesFromElement(
@@ -2653,7 +6163,7 @@ class ComponentsManager {
    * @private
    */
   setupPropertyChangeListeners(component) {
-    if (!component || !component.properties) return;
+    if (!component || !component.properties || !this.propertiesPanel) return;
 
     // Set up change listeners for each property input
     Object.keys(component.properties).forEach((propName) => {
@@ -2682,16 +6192,16 @@ class ComponentsManager {
           value = e.target.value;
         }
 
-        // Save the property to the element's data attributes
-        this._savePropertyToElement(this.selectedElement, propName, value);
-
-        // Call the component's onUpdate method if it exists
-        if (typeof component.onUpdate === "function") {
-          const currentProps = this._getPropertiesFromElement(
-            this.selectedElement,
-            component.properties
-          );
-          component.onUpdate(this.editor, this.selectedElement, currentProps);
+        // Save the property, apply its bindings and notify the component
+        const changed = this._commitPropertyChange(
+          component,
+          { ...propDef, name: propName },
+          value
+        );
+        if (!changed) {
+          // A listener cancelled the change, show the stored value again
+          this.updatePropertiesPanel();
+          return;
         }
 
         // Notify the editor that content has changed
@@ -2713,17 +6223,24 @@ class ComponentsManager {
     temp.innerHTML = html;
 
     // Find all elements with component attributes
-    const elements = temp.querySelectorAll(
-      "[data-component], [data-instance-id], [data-prop-*], [draggable]"
-    );
+    // (attribute name prefixes can't be matched by a selector)
+    const elements = temp.querySelectorAll("*");
 
     // Remove component-related attributes from each element
     elements.forEach((element) => {
-      // Remove component ID and instance ID
+      // Remove component ID, instance ID and schema version
       element.removeAttribute("data-component");
       element.removeAttribute("data-instance-id");
+      element.removeAttribute("data-component-version");
+      element.removeAttribute("data-component-editable");
       element.removeAttribute("draggable");
 
+      // Remove the editing state of regions and their component chrome
+      if (element.hasAttribute("data-cm-editable")) {
+        element.removeAttribute("contenteditable");
+        element.removeAttribute("data-cm-editable");
+      }
+
       // Remove all data-prop-* attributes
       const attributes = Array.from(element.attributes);
       attributes.forEach((attr) => {
@@ -2737,6 +6254,269 @@ class ComponentsManager {
     return temp.innerHTML;
   }
 
+  /**
+   * Export the editor content as a tree of component instances
+   *
+   * Nodes are one of:
+   * - `{ type: "html", html }` - raw HTML without components
+   * - `{ type: "element", tag, attributes, children }` - plain element that
+   *   contains components somewhere below it
+   * - `{ type: "component", component, instanceId, props, slots, regions,
+   *   markup }` - a component instance, `slots` maps each
+   *   `data-component-children` name to its child nodes, `regions` each
+   *   editable region to its HTML and `markup` is the instance's own HTML
+   *   with its slots emptied
+   * @returns {{version: number, children: Array<Object>}} The content tree
+   */
+  toJSON() {
+    const body = this.editor.getBody();
+    return {
+      version: ComponentsManager.TREE_VERSION,
+      children: body ? this._nodesToJSON(body.childNodes) : [],
+    };
+  }
+
+  /**
+   * Replace the editor content with a tree produced by toJSON()
+   * Components are restored from their saved markup, with their saved
+   * props, regions and instance IDs, so generated element IDs and edited
+   * text come back unchanged. `onInsert` doesn't run; components without
+   * saved markup are rendered from content(). Instances saved with an older
+   * component version are migrated.
+   * @param {{version: number, children: Array<Object>}} tree - The content tree
+   */
+  fromJSON(tree) {
+    if (!tree || !Array.isArray(tree.children)) {
+      console.error("Invalid component tree");
+      return;
+    }
+
+    const body = this.editor.getBody();
+    this.transact("Load component tree", () => {
+      body.innerHTML = "";
+      this._buildNodes(tree.children, body);
+      this.migrateComponents(body);
+    });
+
+    this.editor.nodeChanged();
+  }
+
+  /**
+   * Get the slot containers belonging to a component instance
+   * Slots of nested components are left out.
+   * @param {HTMLElement} root - The component root element
+   * @returns {Array<HTMLElement>} The slot elements
+   * @private
+   */
+  _getSlots(root) {
+    const slots = root.hasAttribute("data-component-children") ? [root] : [];
+    root.querySelectorAll("[data-component-children]").forEach((slot) => {
+      if (slot.closest("[data-component]") === root) {
+        slots.push(slot);
+      }
+    });
+    return slots;
+  }
+
+  /**
+   * Convert a list of DOM nodes to tree nodes, merging adjacent raw HTML
+   * @param {NodeList|Array<Node>} nodes - The nodes to convert
+   * @returns {Array<Object>} The tree nodes
+   * @private
+   */
+  _nodesToJSON(nodes) {
+    const result = [];
+    let html = "";
+
+    const flushHtml = () => {
+      if (html.trim()) {
+        result.push({ type: "html", html });
+      }
+      html = "";
+    };
+
+    Array.from(nodes).forEach((node) => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        // Skip editor artifacts such as bogus nodes and the drop indicator
+        if (
+          node.hasAttribute("data-mce-bogus") ||
+          node.classList.contains("drop-indicator")
+        ) {
+          return;
+        }
+
+        const componentId = node.getAttribute("data-component");
+        if (componentId && this.getComponent(componentId)) {
+          flushHtml();
+          result.push(this._componentToJSON(node));
+          return;
+        }
+
+        if (node.querySelector("[data-component]")) {
+          flushHtml();
+          const attributes = {};
+          Array.from(node.attributes).forEach((attr) => {
+            if (!this._isEditorAttribute(attr.name)) {
+              attributes[attr.name] = attr.value;
+            }
+          });
+          result.push({
+            type: "element",
+            tag: node.tagName.toLowerCase(),
+            attributes,
+            children: this._nodesToJSON(node.childNodes),
+          });
+          return;
+        }
+
+        html += this._stripEditorState(node.cloneNode(true)).outerHTML;
+      } else if (node.nodeType === Node.TEXT_NODE) {
+        const temp = document.createElement("div");
+        temp.textContent = node.textContent;
+        html += temp.innerHTML;
+      }
+    });
+
+    flushHtml();
+    return result;
+  }
+
+  /**
+   * Convert a component instance to a tree node
+   * @param {HTMLElement} element - The component root element
+   * @returns {Object} The component node
+   * @private
+   */
+  _componentToJSON(element) {
+    const component = this.getComponent(element.getAttribute("data-component"));
+    const slots = {};
+
+    this._getSlots(element).forEach((slot) => {
+      slots[slot.getAttribute("data-component-children")] = this._nodesToJSON(
+        slot.childNodes
+      );
+    });
+
+    const regions = {};
+    this._ownMarkup(element).forEach((el) => {
+      if (el.hasAttribute("data-component-editable")) {
+        regions[el.getAttribute("data-component-editable")] = el.innerHTML;
+      }
+    });
+
+    return {
+      type: "component",
+      component: component.id,
+      instanceId: element.getAttribute("data-instance-id"),
+      props: this._getPropertiesFromElement(element, component.properties),
+      slots,
+      regions,
+      markup: this._ownMarkupHtml(element),
+    };
+  }
+
+  /**
+   * Get a component's own HTML, with its slots emptied
+   * @param {HTMLElement} element - The component root element
+   * @returns {string} The HTML, without editor bookkeeping
+   * @private
+   */
+  _ownMarkupHtml(element) {
+    const clone = element.cloneNode(true);
+    this._getSlots(clone).forEach((slot) => slot.replaceChildren());
+    return this._stripEditorState(clone).outerHTML;
+  }
+
+  /**
+   * Remove the editor's drag and editing state from copied markup
+   * @param {HTMLElement} root - The copy, changed in place
+   * @returns {HTMLElement} The same element
+   * @private
+   */
+  _stripEditorState(root) {
+    [root, ...root.querySelectorAll("*")].forEach((el) => {
+      // contenteditable set by _applyEditingState, not by the markup
+      if (el.hasAttribute("data-cm-editable")) {
+        el.removeAttribute("contenteditable");
+      }
+      Array.from(el.attributes).forEach((attr) => {
+        if (this._isEditorAttribute(attr.name)) el.removeAttribute(attr.name);
+      });
+      if (el.classList.contains("dragging")) {
+        el.classList.remove("dragging");
+        if (!el.classList.length) el.removeAttribute("class");
+      }
+    });
+    return root;
+  }
+
+  /**
+   * Check whether an attribute is editor bookkeeping rather than content
+   * @private
+   */
+  _isEditorAttribute(name) {
+    return (
+      name === "draggable" ||
+      name === "data-cm-editable" ||
+      name.startsWith("data-mce-")
+    );
+  }
+
+  /**
+   * Build tree nodes into a parent element
+   * @param {Array<Object>} nodes - The tree nodes
+   * @param {HTMLElement} parent - The element to append to
+   * @param {boolean} [child=false] - Whether the nodes are inside a slot of
+   *   a component being built
+   * @private
+   */
+  _buildNodes(nodes, parent, child = false) {
+    const doc = parent.ownerDocument;
+
+    nodes.forEach((node) => {
+      if (!node) return;
+
+      if (node.type === "html") {
+        parent.insertAdjacentHTML("beforeend", node.html);
+      } else if (node.type === "element") {
+        const element = doc.createElement(node.tag);
+        Object.entries(node.attributes || {}).forEach(([name, value]) => {
+          element.setAttribute(name, value);
+        });
+        this._buildNodes(node.children || [], element, child);
+        parent.appendChild(element);
+      } else if (node.type === "component") {
+        const component = this.getComponent(node.component);
+        if (!component) {
+          console.warn(`Unknown component "${node.component}" in tree`);
+          return;
+        }
+
+        this.insertComponent(component, parent, true, {
+          props: node.props,
+          instanceId: node.instanceId,
+          markup: node.markup,
+          restore: true,
+          child,
+          fillSlots: (root) => {
+            Object.entries(node.regions || {}).forEach(([name, html]) => {
+              const region = this._findRegion(root, name);
+              if (region) region.innerHTML = html;
+            });
+            this._getSlots(root).forEach((slot) => {
+              const children = (node.slots || {})[
+                slot.getAttribute("data-component-children")
+              ];
+              if (!children) return;
+              slot.innerHTML = "";
+              this._buildNodes(children, slot, true);
+            });
+          },
+        });
+      }
+    });
+  }
+
   /**
    * Create a property field based on its type
    * @param {Object} prop - The property definition
@@ -2751,8 +6531,9 @@ class ComponentsManager {
     field.className = "property-field";
 
     // Get the current value from data attributes or use the default
-    const dataAttr = `data-prop-${prop.name}`;
-    let currentValue = this.selectedElement.getAttribute(dataAttr);
+    let currentValue = this._getPropertiesFromElement(this.selectedElement, {
+      [prop.name]: prop,
+    })[prop.name];
 
     // If not set in data attributes, use the default value
     if (currentValue === null || currentValue === undefined) {
@@ -2784,15 +6565,9 @@ class ComponentsManager {
 
         field.querySelector("select").addEventListener("change", (e) => {
           const newValue = e.target.value;
-          const propName = prop.name;
-
-          // Save the property to the element's data attribute
-          this._savePropertyToElement(this.selectedElement, propName, newValue);
 
-          // Call onUpdate if defined to handle any custom update logic
-          if (typeof component.onUpdate === "function") {
-            component.onUpdate(propName, newValue, this.selectedElement, prop);
-          }
+          // Save the property, apply its bindings and notify the component
+          this._commitPropertyChange(component, prop, newValue);
 
           // Force a re-render of the properties panel to reflect changes
           this.updatePropertiesPanel();
@@ -2806,14 +6581,13 @@ class ComponentsManager {
       case "number":
         const input = document.createElement("input");
         input.type = prop.type;
-        input.value = currentValue || "";
+        input.value = currentValue ?? "";
         field.appendChild(document.createElement("label")).textContent =
           prop.label || prop.name;
         field.appendChild(input);
 
         input.addEventListener("change", (e) => {
           let newValue;
-          const propName = prop.name;
 
           // Convert the value based on the input type
           if (prop.type === "number") {
@@ -2823,13 +6597,8 @@ class ComponentsManager {
             newValue = e.target.value;
           }
 
-          // Save the property to the element's data attribute
-          this._savePropertyToElement(this.selectedElement, propName, newValue);
-
-          // Call onUpdate if defined to handle any custom update logic
-          if (typeof component.onUpdate === "function") {
-            component.onUpdate(propName, newValue, this.selectedElement, prop);
-          }
+          // Save the property, apply its bindings and notify the component
+          this._commitPropertyChange(component, prop, newValue);
 
           // Force a re-render of the properties panel to reflect changes
           this.updatePropertiesPanel();
@@ -2849,15 +6618,9 @@ class ComponentsManager {
 
         colorInput.addEventListener("change", (e) => {
           const newValue = e.target.value;
-          const propName = prop.name;
-
-          // Save the property to the element's data attribute
-          this._savePropertyToElement(this.selectedElement, propName, newValue);
 
-          // Call onUpdate if defined to handle any custom update logic
-          if (typeof component.onUpdate === "function") {
-            component.onUpdate(propName, newValue, this.selectedElement, prop);
-          }
+          // Save the property, apply its bindings and notify the component
+          this._commitPropertyChange(component, prop, newValue);
 
           // Notify the editor that the content has changed
           this.editor.nodeChanged();
@@ -2880,15 +6643,9 @@ class ComponentsManager {
 
         checkbox.addEventListener("change", (e) => {
           const newValue = e.target.checked;
-          const propName = prop.name;
-
-          // Save the property to the element's data attribute
-          this._savePropertyToElement(this.selectedElement, propName, newValue);
 
-          // Call onUpdate if defined to handle any custom update logic
-          if (typeof component.onUpdate === "function") {
-            component.onUpdate(propName, newValue, this.selectedElement, prop);
-          }
+          // Save the property, apply its bindings and notify the component
+          this._commitPropertyChange(component, prop, newValue);
 
           // Notify the editor that the content has changed
           this.editor.nodeChanged();
@@ -2908,15 +6665,9 @@ class ComponentsManager {
 
         field.querySelector("textarea").addEventListener("change", (e) => {
           const newValue = e.target.value;
-          const propName = prop.name;
-
-          // Save the property to the element's data attribute
-          this._savePropertyToElement(this.selectedElement, propName, newValue);
 
-          // Call onUpdate if defined to handle any custom update logic
-          if (typeof component.onUpdate === "function") {
-            component.onUpdate(propName, newValue, this.selectedElement, prop);
-          }
+          // Save the property, apply its bindings and notify the component
+          this._commitPropertyChange(component, prop, newValue);
 
           // Notify the editor that the content has changed
           this.editor.nodeChanged();
@@ -2932,12 +6683,8 @@ class ComponentsManager {
         `;
 
         field.querySelector("button").addEventListener("click", (e) => {
-          const propName = prop.name;
-
-          // Call onUpdate if defined to handle any custom update logic
-          if (typeof component.onUpdate === "function") {
-            component.onUpdate(propName, null, this.selectedElement, prop);
-          }
+          // Buttons trigger the component's onUpdate without a value
+          this._commitPropertyChange(component, prop, null);
 
           // Notify the editor that the content has changed
           this.editor.nodeChanged();
@@ -2954,15 +6701,9 @@ class ComponentsManager {
 
         field.querySelector("input").addEventListener("change", (e) => {
           const newValue = e.target.value;
-          const propName = prop.name;
-
-          // Save the property to the element's data attribute
-          this._savePropertyToElement(this.selectedElement, propName, newValue);
 
-          // Call onUpdate if defined to handle any custom update logic
-          if (typeof component.onUpdate === "function") {
-            component.onUpdate(propName, newValue, this.selectedElement, prop);
-          }
+          // Save the property, apply its bindings and notify the component
+          this._commitPropertyChange(component, prop, newValue);
 
           // Notify the editor that the content has changed
           this.editor.nodeChanged();
@@ -2990,8 +6731,13 @@ class ComponentsManager {
   };
 })();
 
-function cm_essentials_init(componentsManager){
-  componentsManager.register(
+/**
+ * The essentials pack: components that don't depend on a CSS framework
+ */
+const cm_essentials_pack = {
+  name: "essentials",
+  version: "1.0.0",
+  components: (componentsManager) => [
     new Component({
       id: "layers-container",
       name: "Layers",
@@ -3070,8 +6816,8 @@ function cm_essentials_init(componentsManager){
           opacity: 0.3;
         }
       `,
-      content: (props) => {
-        const containerId = `layers-${Math.random().toString(36).substr(2, 9)}`;
+      content: (props, ctx) => {
+        const containerId = ctx.ids.generate("layers");
         return `
           <div id="${containerId}" class="cm-layers-container" contenteditable="false">
             <div class="cm-layers-content" draggable="false" contenteditable="false" style="position: relative;">
@@ -3117,7 +6863,8 @@ function cm_essentials_init(componentsManager){
           }
         },
       },
-      onUpdate: function(propName, newValue, element, prop) {
+      apiVersion: 2,
+      onUpdate: function({ propName, newValue, element }) {
         if(propName == 'addLayer'){
           const ev = new CustomEvent('add_layer');
           element.dispatchEvent(ev);
@@ -3167,6 +6914,9 @@ function cm_essentials_init(componentsManager){
         // Initial properties update
         updateLayerProperties();
       },
+      onRebind: function(editor, element) {
+        element.dispatchEvent(new CustomEvent('rebind_layers'));
+      },
       onFocus: function(editor, element, component){
         if(element._listeners?.add_layer?.length > 0){
           return;
@@ -3356,9 +7106,19 @@ function cm_essentials_init(componentsManager){
         });
 
         // Reset resize flag when mouse is released
-        editor.getDoc().addEventListener('mouseup', function() {
+        const onMouseUp = function() {
           isResizing = false;
-        });
+        };
+        const listenMouseUp = function() {
+          editor.getDoc().addEventListener('mouseup', onMouseUp);
+          componentsManager.addCleanup(element, () => {
+            editor.getDoc().removeEventListener('mouseup', onMouseUp);
+          });
+        };
+        listenMouseUp();
+
+        // Listen again after a replaced definition ran the cleanups
+        element.addEventListener('rebind_layers', listenMouseUp);
 
         return {
           addLayer,
@@ -3369,14 +7129,24 @@ function cm_essentials_init(componentsManager){
           activeLayerIndex
         };
       },
-    })
-  );
+    }),
+  ],
+};
+
+/**
+ * Load the essentials pack
+ * @param {ComponentsManager} componentsManager - The manager
+ * @returns {Promise<Object>} The pack's record, see ComponentsManager#use
+ */
+function cm_essentials_init(componentsManager) {
+  return componentsManager.use(cm_essentials_pack);
 }
 
 // Export for CommonJS and browser environments
 if (typeof module !== "undefined" && module.exports) {
-  module.exports = { ComponentsManager, cm_essentials_init };
+  module.exports = { ComponentsManager, cm_essentials_pack, cm_essentials_init };
 } else if (typeof window !== "undefined") {
   window.ComponentsManager = ComponentsManager;
+  window.cm_essentials_pack = cm_essentials_pack;
   window.cm_essentials_init = cm_essentials_init;
 }
@@ -0,0 +1,462 @@
+/**
+ * Component packs for the Components Manager
+ *
+ * A pack bundles components with what they need to work, described by a
+ * manifest:
+ *
+ * ```
+ * {
+ *   name: "tenant",                       // unique pack name
+ *   version: "1.2.0",
+ *   dependencies: { bootstrap5: "^1.0.0" }, // or ["bootstrap5"], any version
+ *   components: [new Component({...}), { id: "promo", ... }],
+ *   styles: { "Primary Button": { color: "white" } }, // see addStyle()
+ *   editor: { css: ["https://.../tenant.css"], js: ["https://.../tenant.js"] },
+ * }
+ * ```
+ *
+ * `components` may also be a function receiving the manager and returning
+ * the list. Packs are plain objects, ES modules with the manifest as default
+ * export, or the URL of such a module. Components and styles another pack
+ * (or the page) already registered are skipped and reported as conflicts.
+ */
+class ComponentPacks {
+  /**
+   * Create the pack loader of a manager
+   * @param {ComponentsManager} manager - The manager receiving the components
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.loaded = new Map(); // pack name -> record, see use()
+    this.owners = new Map(); // component ID -> pack name
+    this.assets = new Map(); // editor CSS/JS URL -> promise of its loading
+  }
+
+  /**
+   * Load a pack
+   * The components and styles of a manifest are registered right away, the
+   * returned promise resolves once the pack's editor CSS and JS are loaded.
+   * A file that fails to load is reported as an `asset` conflict, the pack
+   * stays in use without it. Using a pack again with the same version does
+   * nothing.
+   * @param {Object|string|Promise} pack - Manifest, ES module namespace,
+   *   module URL, or a promise of one (e.g. `import("./pack.js")`)
+   * @returns {Promise<Object>} The pack record: `name`, `version`,
+   *   `components` (registered IDs), `styles` (added names) and `conflicts`
+   * @throws Rejects when the manifest is invalid, a dependency is missing,
+   *   another version of the pack is in use, or registering the pack throws.
+   *   A pack that failed to register is not kept as loaded.
+   */
+  use(pack) {
+    if (typeof pack === "string") {
+      return import(pack).then((module) => this.use(module));
+    }
+    if (pack && typeof pack.then === "function") {
+      return pack.then((loaded) => this.use(loaded));
+    }
+
+    let manifest;
+    let record;
+    try {
+      manifest = ComponentPacks._resolve(pack);
+      const existing = this.loaded.get(manifest.name);
+      if (existing) {
+        if (existing.version === manifest.version) {
+          return existing.ready || Promise.resolve(existing);
+        }
+        this._report(null, {
+          type: "pack",
+          pack: manifest.name,
+          message: `Pack "${manifest.name}" ${existing.version} is already in use, can't also use ${manifest.version}`,
+        });
+        throw new Error(
+          `Pack "${manifest.name}" ${existing.version} is already in use`
+        );
+      }
+      this._checkDependencies(manifest);
+
+      record = {
+        name: manifest.name,
+        version: manifest.version,
+        dependencies: ComponentPacks._dependencies(manifest),
+        components: [],
+        styles: [],
+        stylesheets: (manifest.editor && manifest.editor.css) || [],
+        conflicts: [],
+        ready: null,
+      };
+      this.loaded.set(record.name, record);
+
+      this._registerComponents(manifest, record);
+      this._addStyles(manifest, record);
+    } catch (error) {
+      if (record) this._unload(record);
+      return Promise.reject(error);
+    }
+
+    record.ready = this._loadEditorAssets(manifest, record).then(() => {
+      this.manager.events.emit("pack:loaded", {
+        pack: record.name,
+        version: record.version,
+        components: record.components,
+        conflicts: record.conflicts,
+      });
+      return record;
+    });
+    return record.ready;
+  }
+
+  /**
+   * Remove a pack's components and styles
+   * Scripts it loaded into the editor stay, stylesheets are removed.
+   * @param {string} name - The pack name
+   * @returns {boolean} False when the pack isn't loaded or other packs need it
+   */
+  remove(name) {
+    const record = this.loaded.get(name);
+    if (!record) return false;
+
+    const dependents = Array.from(this.loaded.values()).filter((other) =>
+      Object.prototype.hasOwnProperty.call(other.dependencies, name)
+    );
+    if (dependents.length) {
+      this._report(record, {
+        type: "dependency",
+        pack: name,
+        message: `Pack "${name}" is needed by ${dependents
+          .map((other) => `"${other.name}"`)
+          .join(", ")}`,
+      });
+      return false;
+    }
+
+    this._unload(record);
+    this.manager.events.emit("pack:removed", { pack: name });
+    return true;
+  }
+
+  /**
+   * Get the record of a loaded pack
+   * @param {string} name - The pack name
+   * @returns {Object|null} The record, see use()
+   */
+  get(name) {
+    return this.loaded.get(name) || null;
+  }
+
+  /**
+   * Get the records of every loaded pack, in loading order
+   * @returns {Array<Object>} The records
+   */
+  list() {
+    return Array.from(this.loaded.values());
+  }
+
+  /**
+   * Get the editor stylesheets of every loaded pack
+   * @returns {Array<string>} The CSS URLs
+   */
+  stylesheets() {
+    return this.list().flatMap((record) => record.stylesheets);
+  }
+
+  /**
+   * Check a version against a range
+   * Supports exact versions, `*`, `x` wildcards (`1.x`), `^`, `~`, and
+   * the comparisons `>=`, `>`, `<=` and `<`.
+   * @param {string} version - The version, e.g. `1.4.2`
+   * @param {string} range - The range, e.g. `^1.2.0`
+   * @returns {boolean} Whether the version is in the range
+   */
+  static satisfies(version, range) {
+    const wanted = String(range || "*").trim();
+    if (wanted === "*" || wanted === "") return true;
+
+    const parse = (value) =>
+      String(value)
+        .split(".")
+        .map((part) => (/^[x*]$/i.test(part) ? null : parseInt(part, 10) || 0));
+    const compare = (a, b) => {
+      for (let i = 0; i < 3; i++) {
+        const diff = (a[i] || 0) - (b[i] || 0);
+        if (diff) return diff;
+      }
+      return 0;
+    };
+
+    const current = parse(version);
+    const match = /^(\^|~|>=|<=|>|<|=)?\s*(.+)$/.exec(wanted);
+    const operator = match[1] || "=";
+    const target = parse(match[2]);
+
+    switch (operator) {
+      case "^": {
+        // Same major (or minor below 1.0), at least the target
+        const fixed = target[0] > 0 ? 1 : 2;
+        return (
+          compare(current, target) >= 0 &&
+          current.slice(0, fixed).every((part, i) => part === target[i])
+        );
+      }
+      case "~":
+        return (
+          compare(current, target) >= 0 &&
+          current[0] === target[0] &&
+          current[1] === target[1]
+        );
+      case ">=":
+        return compare(current, target) >= 0;
+      case ">":
+        return compare(current, target) > 0;
+      case "<=":
+        return compare(current, target) <= 0;
+      case "<":
+        return compare(current, target) < 0;
+      default:
+        // Exact, `x` parts match anything
+        return target.every(
+          (part, i) => part === null || part === (current[i] || 0)
+        );
+    }
+  }
+
+  /**
+   * Get and check the manifest of a pack
+   * @private
+   */
+  static _resolve(pack) {
+    const manifest = pack && pack.default ? pack.default : pack;
+    if (!manifest || typeof manifest !== "object") {
+      throw new Error("A pack must be a manifest object or an ES module");
+    }
+    if (typeof manifest.name !== "string" || !manifest.name) {
+      throw new Error("A pack manifest requires a name");
+    }
+    return { version: "0.0.0", ...manifest };
+  }
+
+  /**
+   * Normalize a manifest's dependencies to a map of name to range
+   * @private
+   */
+  static _dependencies(manifest) {
+    const dependencies = manifest.dependencies || {};
+    if (Array.isArray(dependencies)) {
+      return Object.fromEntries(dependencies.map((name) => [name, "*"]));
+    }
+    return { ...dependencies };
+  }
+
+  /**
+   * Throw when a dependency is missing or in use with a version out of range
+   * @private
+   */
+  _checkDependencies(manifest) {
+    const problems = Object.entries(ComponentPacks._dependencies(manifest))
+      .map(([name, range]) => {
+        const dependency = this.loaded.get(name);
+        if (!dependency) return `"${name}" ${range} is not in use`;
+        if (!ComponentPacks.satisfies(dependency.version, range)) {
+          return `"${name}" ${range} is needed, ${dependency.version} is in use`;
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    if (problems.length) {
+      problems.forEach((message) =>
+        this._report(null, {
+          type: "dependency",
+          pack: manifest.name,
+          message: `Pack "${manifest.name}": ${message}`,
+        })
+      );
+      throw new Error(
+        `Pack "${manifest.name}" can't be used: ${problems.join("; ")}`
+      );
+    }
+  }
+
+  /**
+   * Register a manifest's components, skipping IDs already taken
+   * @private
+   */
+  _registerComponents(manifest, record) {
+    const list =
+      typeof manifest.components === "function"
+        ? manifest.components(this.manager)
+        : manifest.components || [];
+
+    list.forEach((definition) => {
+      let component;
+      try {
+        component =
+          definition instanceof Component
+            ? definition
+            : new Component(definition);
+      } catch (error) {
+        console.error(`Invalid component in pack "${record.name}":`, error);
+        return;
+      }
+
+      if (this.manager.getComponent(component.id)) {
+        const owner = this.owners.get(component.id);
+        this._report(record, {
+          type: "component",
+          pack: record.name,
+          id: component.id,
+          owner: owner || null,
+          message: `Component "${component.id}" of pack "${record.name}" is already registered${
+            owner ? ` by pack "${owner}"` : ""
+          }`,
+        });
+        return;
+      }
+
+      if (this.manager.register(component)) {
+        this.owners.set(component.id, record.name);
+        record.components.push(component.id);
+      }
+    });
+  }
+
+  /**
+   * Add a manifest's predefined styles, skipping names already taken
+   * @private
+   */
+  _addStyles(manifest, record) {
+    Object.entries(manifest.styles || {}).forEach(([name, style]) => {
+      if (this.manager.styles.has(name)) {
+        this._report(record, {
+          type: "style",
+          pack: record.name,
+          id: name,
+          message: `Style "${name}" of pack "${record.name}" is already defined`,
+        });
+        return;
+      }
+      this.manager.addStyle(name, style);
+      record.styles.push(name);
+    });
+  }
+
+  /**
+   * Load a manifest's CSS and JS into the editor document
+   * Files another pack (or the page) already loads are not loaded again.
+   * Scripts load one after the other, in the listed order. Files that fail
+   * are reported on the record, the returned promise doesn't reject.
+   * @private
+   */
+  _loadEditorAssets(manifest, record) {
+    const { css = [], js = [] } = manifest.editor || {};
+    const doc = this._editorDocument();
+    if (!doc || (!css.length && !js.length)) return Promise.resolve();
+
+    const report = (url) => (error) =>
+      this._report(record, {
+        type: "asset",
+        pack: record.name,
+        id: url,
+        message: error.message,
+      });
+    const load = (url, create) => {
+      if (!this.assets.has(url)) {
+        const selector = `link[href="${url}"], script[src="${url}"]`;
+        const loading = doc.querySelector(selector)
+          ? Promise.resolve()
+          : new Promise((resolve, reject) => {
+              const element = create();
+              element.setAttribute("data-component-pack", manifest.name);
+              element.addEventListener("load", () => resolve());
+              element.addEventListener("error", () => {
+                // Let another pack try the file again
+                this.assets.delete(url);
+                element.remove();
+                reject(
+                  new Error(`Pack "${manifest.name}" could not load ${url}`)
+                );
+              });
+              doc.head.appendChild(element);
+            });
+        this.assets.set(url, loading);
+      }
+      return this.assets.get(url).catch(report(url));
+    };
+
+    const stylesheets = css.map((url) =>
+      load(url, () => {
+        const link = doc.createElement("link");
+        link.rel = "stylesheet";
+        link.href = url;
+        return link;
+      })
+    );
+
+    const scripts = js.reduce(
+      (previous, url) =>
+        previous.then(() =>
+          load(url, () => {
+            const script = doc.createElement("script");
+            script.src = url;
+            return script;
+          })
+        ),
+      Promise.resolve()
+    );
+
+    return Promise.all([...stylesheets, scripts]);
+  }
+
+  /**
+   * The document the editor content lives in, null when headless
+   * A headless editor works on the page's own document, packs don't load
+   * files into it.
+   * @private
+   */
+  _editorDocument() {
+    const editor = this.manager.editor;
+    if (!editor || editor.headless) return null;
+    const doc = editor.getDoc();
+    return doc && doc.head ? doc : null;
+  }
+
+  /**
+   * Take a pack's components, styles and stylesheets out again
+   * @private
+   */
+  _unload(record) {
+    record.components.forEach((id) => {
+      this.owners.delete(id);
+      this.manager.unregister(id);
+    });
+    record.styles.forEach((style) => this.manager.styles.delete(style));
+
+    const doc = this._editorDocument();
+    if (doc) {
+      doc.querySelectorAll("link[data-component-pack]").forEach((link) => {
+        if (link.getAttribute("data-component-pack") !== record.name) return;
+        this.assets.delete(link.getAttribute("href"));
+        link.remove();
+      });
+    }
+
+    this.loaded.delete(record.name);
+  }
+
+  /**
+   * Record a conflict, warn about it and emit `pack:conflict`
+   * @private
+   */
+  _report(record, conflict) {
+    if (record) record.conflicts.push(conflict);
+    console.warn(conflict.message);
+    this.manager.events.emit("pack:conflict", conflict);
+  }
+}
+
+// Export for CommonJS and browser environments
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ComponentPacks };
+} else if (typeof window !== "undefined") {
+  window.ComponentPacks = ComponentPacks;
+}
@@ -0,0 +1,373 @@
+/**
+ * Quick insert palette for the Components Manager
+ *
+ * Opened with `/` in an empty paragraph or with Ctrl+K (Cmd+K on macOS) in
+ * the editor. Every registered component can be found by a fuzzy search over
+ * its name, ID, category and keywords; components the nesting rules refuse
+ * at the caret are listed with the reason and can't be chosen. A component
+ * chosen from an empty paragraph replaces that paragraph.
+ */
+class ComponentPalette {
+  /**
+   * Create a palette for a manager
+   * The palette's markup is built the first time it opens.
+   * @param {ComponentsManager} manager - The manager owning the components
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.element = null; // backdrop holding the dialog
+    this.input = null;
+    this.list = null;
+    this.results = []; // [{ component, score, valid, reason }]
+    this.activeIndex = 0;
+    this.target = null; // { range, paragraph } saved when the palette opened
+  }
+
+  /**
+   * Whether the palette is showing
+   * @type {boolean}
+   */
+  get isOpen() {
+    return Boolean(this.element && this.element.isConnected);
+  }
+
+  /**
+   * Open the palette for the current caret position
+   * @param {Object} [options]
+   * @param {string} [options.query=""] - Initial search text
+   */
+  open({ query = "" } = {}) {
+    if (typeof document === "undefined" || !document.body) return;
+
+    const editor = this.manager.editor;
+    const range =
+      editor.selection && editor.selection.getRng
+        ? editor.selection.getRng().cloneRange()
+        : null;
+    this.target = {
+      range,
+      paragraph: range ? ComponentPalette._emptyParagraphAt(range) : null,
+    };
+
+    if (!this.element) this._build();
+    if (!this.element.isConnected) document.body.appendChild(this.element);
+
+    this.input.value = query;
+    this.search(query);
+    this.input.focus();
+  }
+
+  /**
+   * Close the palette
+   * @param {Object} [options]
+   * @param {boolean} [options.restoreFocus=true] - Give the focus back to the editor
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.element.remove();
+    const editor = this.manager.editor;
+    if (restoreFocus && typeof editor.focus === "function") {
+      editor.focus();
+      if (this.target && this.target.range && editor.selection.setRng) {
+        editor.selection.setRng(this.target.range);
+      }
+    }
+  }
+
+  /**
+   * Search the components and show the results
+   * Components valid at the caret come first, each group ordered by score.
+   * @param {string} query - The search text
+   * @returns {Array<Object>} The results: `component`, `score`, `valid` and
+   *   `reason` (why it can't be inserted, or null)
+   */
+  search(query) {
+    const target = this._insertionTarget();
+
+    this.results = Array.from(this.manager.components.values())
+      .filter((component) => this.manager.isListed(component))
+      .map((component) => ({
+        component,
+        score: ComponentPalette.match(query, component),
+      }))
+      .filter((result) => result.score >= 0)
+      .map((result) => {
+        const verdict = this.manager.checkDropTarget(target, result.component);
+        return { ...result, valid: verdict.valid, reason: verdict.reason };
+      })
+      .sort(
+        (a, b) =>
+          b.valid - a.valid ||
+          b.score - a.score ||
+          a.component.name.localeCompare(b.component.name)
+      );
+
+    this.activeIndex = 0;
+    if (this.list) this._render();
+    return this.results;
+  }
+
+  /**
+   * Insert the component of a result at the saved caret position
+   * @param {number} [index] - Result index, defaults to the highlighted one
+   * @returns {HTMLElement|null} The new instance, or null when refused
+   */
+  choose(index = this.activeIndex) {
+    const result = this.results[index];
+    if (!result) return null;
+
+    if (!result.valid) {
+      this.manager._announce(result.reason);
+      return null;
+    }
+
+    this.close({ restoreFocus: false });
+
+    const { range, paragraph } = this.target || {};
+    const manager = this.manager;
+    const { component } = result;
+
+    return manager.transact(`Insert ${component.name}`, () => {
+      let marker;
+      if (paragraph && paragraph.isConnected) {
+        marker = manager.editor.getDoc().createElement("span");
+        marker.setAttribute("data-mce-bogus", "1");
+        paragraph.before(marker);
+      } else {
+        marker = manager._placeMarker(range || undefined);
+      }
+      if (!marker) return null;
+
+      const element = manager._insertAtMarker(component, marker, "palette");
+      if (element && paragraph) paragraph.remove();
+      return element;
+    });
+  }
+
+  /**
+   * Score how well a query matches a component
+   * Every word of the query has to match the name, ID, category or one of
+   * the keywords.
+   * @param {string} query - The search text
+   * @param {Component} component - The component
+   * @returns {number} The score, -1 when it doesn't match
+   */
+  static match(query, component) {
+    const words = String(query || "")
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean);
+
+    let total = 0;
+    for (const word of words) {
+      const name = ComponentPalette.score(word, component.name);
+      const best = Math.max(
+        name >= 0 ? name + 1 : -1, // names win ties
+        ComponentPalette.score(word, component.id),
+        ComponentPalette.score(word, component.category),
+        ...(component.keywords || []).map((keyword) =>
+          ComponentPalette.score(word, keyword)
+        )
+      );
+      if (best < 0) return -1;
+      total += best;
+    }
+    return total;
+  }
+
+  /**
+   * Fuzzy score of a query against a text
+   * The query's characters have to appear in order. Consecutive characters,
+   * characters starting a word and a matching prefix score higher.
+   * @param {string} query - The search text
+   * @param {string} text - The text to search
+   * @returns {number} The score, -1 when it doesn't match
+   */
+  static score(query, text) {
+    const needle = String(query || "").toLowerCase();
+    const haystack = String(text || "").toLowerCase();
+    if (!needle) return 0;
+
+    let score = 0;
+    let from = 0;
+    let run = 0;
+    for (const char of needle) {
+      const found = haystack.indexOf(char, from);
+      if (found === -1) return -1;
+
+      run = found === from && from > 0 ? run + 1 : 1;
+      const wordStart = found === 0 || /[\s\-_/]/.test(haystack[found - 1]);
+      score += 1 + (run > 1 ? run : 0) + (wordStart ? 3 : 0);
+      from = found + 1;
+    }
+
+    if (haystack.startsWith(needle)) score += 5;
+    // Prefer shorter texts among equal matches
+    return score - haystack.length / 100;
+  }
+
+  /**
+   * The element a component would be inserted into
+   * @private
+   */
+  _insertionTarget() {
+    const { range, paragraph } = this.target || {};
+    if (paragraph && paragraph.isConnected) return paragraph.parentNode;
+    if (!range) return this.manager.editor.getBody();
+
+    const node = range.startContainer;
+    return node.nodeType === Node.ELEMENT_NODE ? node : node.parentNode;
+  }
+
+  /**
+   * Find the empty paragraph holding a collapsed range
+   * @private
+   */
+  static _emptyParagraphAt(range) {
+    if (!range.collapsed) return null;
+
+    const node = range.startContainer;
+    const element =
+      node.nodeType === Node.ELEMENT_NODE ? node : node.parentNode;
+    const paragraph = element && element.closest && element.closest("p");
+    if (!paragraph) return null;
+
+    const empty =
+      !paragraph.textContent.replace(/[\s\u200b]/g, "") &&
+      !paragraph.querySelector("img, video, iframe, [data-component]");
+    return empty ? paragraph : null;
+  }
+
+  /**
+   * Build the palette's markup
+   * @private
+   */
+  _build() {
+    this.element = document.createElement("div");
+    this.element.className = "component-palette-backdrop";
+    this.element.innerHTML = `
+      <div class="component-palette" role="dialog" aria-label="Insert component">
+        <input type="text" class="component-palette-input"
+          role="combobox" aria-expanded="true" aria-autocomplete="list"
+          aria-controls="component-palette-results"
+          placeholder="Search components…" />
+        <ul class="component-palette-results" id="component-palette-results"
+          role="listbox"></ul>
+      </div>
+    `;
+    this.input = this.element.querySelector(".component-palette-input");
+    this.list = this.element.querySelector(".component-palette-results");
+
+    this.input.addEventListener("input", () => this.search(this.input.value));
+    this.input.addEventListener("keydown", (e) => this._onKeydown(e));
+
+    // Clicking next to the dialog closes it
+    this.element.addEventListener("mousedown", (e) => {
+      if (e.target === this.element) this.close();
+    });
+
+    // Choose on mousedown so the input keeps the focus until then
+    this.list.addEventListener("mousedown", (e) => {
+      const item = e.target.closest(".component-palette-item");
+      if (!item) return;
+      e.preventDefault();
+      this.choose(Number(item.dataset.index));
+    });
+  }
+
+  /**
+   * Show the results, highlighting the active one
+   * @private
+   */
+  _render() {
+    this.list.innerHTML = "";
+
+    if (this.results.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "component-palette-empty";
+      empty.textContent = "No matching components";
+      this.list.appendChild(empty);
+      this.input.removeAttribute("aria-activedescendant");
+      return;
+    }
+
+    this.results.forEach((result, index) => {
+      const { component, valid, reason } = result;
+      const item = document.createElement("li");
+      item.className = "component-palette-item";
+      item.id = `component-palette-item-${index}`;
+      item.dataset.index = index;
+      item.setAttribute("role", "option");
+      item.classList.toggle("active", index === this.activeIndex);
+      item.setAttribute("aria-selected", String(index === this.activeIndex));
+      if (!valid) {
+        item.classList.add("invalid");
+        item.setAttribute("aria-disabled", "true");
+        item.title = reason || "";
+      }
+
+      item.innerHTML = `
+        <span class="component-icon">${component.icon || "📦"}</span>
+        <span class="component-palette-name"></span>
+        <span class="component-palette-category"></span>
+        ${valid ? "" : '<span class="component-palette-reason"></span>'}
+      `;
+      item.querySelector(".component-palette-name").textContent =
+        component.name;
+      item.querySelector(".component-palette-category").textContent =
+        component.category;
+      if (!valid) {
+        item.querySelector(".component-palette-reason").textContent =
+          reason || "Not allowed here";
+      }
+      this.list.appendChild(item);
+    });
+
+    const active = this.list.children[this.activeIndex];
+    this.input.setAttribute("aria-activedescendant", active.id);
+    if (typeof active.scrollIntoView === "function") {
+      active.scrollIntoView({ block: "nearest" });
+    }
+  }
+
+  /**
+   * Keyboard handling of the search field
+   * @param {KeyboardEvent} e - The keydown event
+   * @private
+   */
+  _onKeydown(e) {
+    const count = this.results.length;
+
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowUp":
+        e.preventDefault();
+        if (count === 0) return;
+        this.activeIndex =
+          (this.activeIndex + (e.key === "ArrowDown" ? 1 : -1) + count) %
+          count;
+        this._render();
+        break;
+      case "Enter":
+        e.preventDefault();
+        this.choose();
+        break;
+      case "Escape":
+        e.preventDefault();
+        this.close();
+        break;
+      case "Tab":
+        // Keep the focus inside the dialog
+        e.preventDefault();
+        break;
+    }
+  }
+}
+
+// Export for CommonJS and browser environments
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ComponentPalette };
+} else if (typeof window !== "undefined") {
+  window.ComponentPalette = ComponentPalette;
+}
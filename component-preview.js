@@ -0,0 +1,272 @@
+/**
+ * Preview thumbnails for the components panel
+ *
+ * A component's preview is its default markup, children included, rendered
+ * by a headless ComponentsManager sharing the components of the editor's
+ * manager. It is shown in a sandboxed iframe (no scripts) that loads the
+ * editor's `content_css` and the packs' stylesheets, scaled down to a
+ * thumbnail in the panel item and to a larger popover while the item is
+ * hovered or focused. The markup is cached until the registered components
+ * change, as a preview may include other components as children.
+ */
+class ComponentPreview {
+  /**
+   * Width in pixels the preview documents are laid out at
+   */
+  static VIEWPORT_WIDTH = 800;
+
+  /**
+   * Size in pixels of the thumbnail inside a panel item
+   */
+  static THUMBNAIL_SIZE = { width: 56, height: 36 };
+
+  /**
+   * Size in pixels of the popover shown on hover
+   */
+  static POPOVER_SIZE = { width: 320, height: 200 };
+
+  /**
+   * Create the previews of a manager
+   * @param {ComponentsManager} manager - The manager owning the components
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.enabled = true; // set to false to show icons only
+    this.stylesheets = null; // CSS URLs, the editor's content_css when null
+    this.cache = new WeakMap(); // component definition -> preview HTML
+    this.popover = null;
+    this.renderer = null; // headless manager building the previews
+    this.pending = []; // [frame, component] of thumbnails still to fill
+
+    ["registered", "unregistered", "replaced"].forEach((change) =>
+      manager.events.on(`component:${change}`, () => this.clear())
+    );
+  }
+
+  /**
+   * Get the preview markup of a component
+   * @param {Component} component - The component
+   * @returns {string} The HTML, empty when the component can't be rendered
+   */
+  html(component) {
+    if (this.cache.has(component)) return this.cache.get(component);
+
+    let html = "";
+    try {
+      const renderer = this._getRenderer();
+      const body = renderer.editor.getBody();
+      body.innerHTML = "";
+      renderer.insertComponent(component, body, true);
+      html = renderer.getFilteredHtml();
+      body.innerHTML = "";
+    } catch (error) {
+      console.error(`Could not render a preview of ${component.name}:`, error);
+    }
+
+    this.cache.set(component, html);
+    return html;
+  }
+
+  /**
+   * Forget the cached previews, e.g. after changing the stylesheets
+   * @param {Component} [component] - Only forget this component's preview
+   */
+  clear(component) {
+    if (component) {
+      this.cache.delete(component);
+    } else {
+      this.cache = new WeakMap();
+    }
+  }
+
+  /**
+   * Create a sandboxed iframe showing a component's preview
+   * @param {Component} component - The component
+   * @param {Object} size - `width` and `height` of the frame in pixels
+   * @param {Object} [options]
+   * @param {boolean} [options.defer=false] - Render the preview after the
+   *   current task, once every component of a batch is registered
+   * @returns {HTMLElement} A fixed size box holding the scaled iframe
+   */
+  createFrame(component, { width, height }, { defer = false } = {}) {
+    const scale = width / ComponentPreview.VIEWPORT_WIDTH;
+    const box = document.createElement("div");
+    box.className = "component-preview-frame";
+    box.style.width = `${width}px`;
+    box.style.height = `${height}px`;
+    box.setAttribute("aria-hidden", "true");
+
+    const frame = document.createElement("iframe");
+    frame.setAttribute("sandbox", "");
+    frame.setAttribute("loading", "lazy");
+    frame.tabIndex = -1;
+    frame.title = `${component.name} preview`;
+    frame.width = ComponentPreview.VIEWPORT_WIDTH;
+    frame.height = Math.ceil(height / scale);
+    frame.style.transform = `scale(${scale})`;
+    if (defer) {
+      this._queue(frame, component);
+    } else {
+      frame.srcdoc = this._document(component);
+    }
+
+    box.appendChild(frame);
+    return box;
+  }
+
+  /**
+   * Add the thumbnail and the hover popover to a panel item
+   * Components with an icon keep it and only get the popover.
+   * @param {HTMLElement} item - The `.component-item`
+   * @param {Component} component - The component
+   */
+  attach(item, component) {
+    if (!this.enabled || component.preview === false) return;
+
+    const icon = item.querySelector(".component-icon");
+    if (icon && !component.icon) {
+      icon.innerHTML = "";
+      icon.classList.add("component-thumbnail");
+      icon.appendChild(
+        this.createFrame(component, ComponentPreview.THUMBNAIL_SIZE, {
+          defer: true,
+        })
+      );
+    }
+
+    const show = () => this.show(item, component);
+    const hide = () => this.hide();
+    item.addEventListener("mouseenter", show);
+    item.addEventListener("focus", show);
+    item.addEventListener("mouseleave", hide);
+    item.addEventListener("blur", hide);
+    item.addEventListener("dragstart", hide);
+  }
+
+  /**
+   * Show the large preview next to a panel item
+   * @param {HTMLElement} item - The `.component-item`
+   * @param {Component} component - The component
+   */
+  show(item, component) {
+    if (!this.popover) {
+      this.popover = document.createElement("div");
+      this.popover.className = "component-preview-popover";
+      this.popover.setAttribute("aria-hidden", "true");
+    }
+
+    const { width, height } = ComponentPreview.POPOVER_SIZE;
+    this.popover.innerHTML = "";
+    this.popover.appendChild(this.createFrame(component, { width, height }));
+    document.body.appendChild(this.popover);
+
+    // Right of the item, kept inside the viewport
+    const rect = item.getBoundingClientRect();
+    const viewportWidth = document.documentElement.clientWidth || width;
+    const viewportHeight = document.documentElement.clientHeight || height;
+    const left =
+      rect.right + 8 + width <= viewportWidth
+        ? rect.right + 8
+        : Math.max(0, rect.left - 8 - width);
+    this.popover.style.left = `${left}px`;
+    this.popover.style.top = `${Math.max(
+      0,
+      Math.min(rect.top, viewportHeight - height)
+    )}px`;
+  }
+
+  /**
+   * Hide the large preview
+   */
+  hide() {
+    if (this.popover) this.popover.remove();
+  }
+
+  /**
+   * The stylesheets loaded by the preview documents
+   * The editor's `content_css` and the editor CSS of the loaded packs.
+   * @returns {Array<string>} The CSS URLs
+   */
+  getStylesheets() {
+    if (Array.isArray(this.stylesheets)) return this.stylesheets;
+
+    const editor = this.manager.editor;
+    let css = null;
+    if (Array.isArray(editor.contentCSS) && editor.contentCSS.length) {
+      css = editor.contentCSS;
+    } else if (editor.options && typeof editor.options.get === "function") {
+      css = editor.options.get("content_css");
+    } else if (typeof editor.getParam === "function") {
+      css = editor.getParam("content_css");
+    }
+
+    if (typeof css === "string") css = css.split(",");
+    const urls = (Array.isArray(css) ? css : [])
+      .map((url) => String(url).trim())
+      .filter((url) => /^(https?:)?\/\/|^\/|\.css(\?|$)/.test(url));
+    return Array.from(new Set([...urls, ...this.manager.packs.stylesheets()]));
+  }
+
+  /**
+   * Fill a thumbnail frame after the current task
+   * @private
+   */
+  _queue(frame, component) {
+    this.pending.push([frame, component]);
+    if (this.pending.length === 1) setTimeout(() => this._flush(), 0);
+  }
+
+  /**
+   * Fill the queued thumbnails still shown in the panel
+   * @private
+   */
+  _flush() {
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(([frame, component]) => {
+      if (frame.isConnected) frame.srcdoc = this._document(component);
+    });
+  }
+
+  /**
+   * Build the document shown in a preview frame
+   * @private
+   */
+  _document(component) {
+    const escape = ComponentTemplate.escape;
+    const links = this.getStylesheets()
+      .map((url) => `<link rel="stylesheet" href="${escape(url)}">`)
+      .join("");
+
+    return `<!DOCTYPE html><html><head><meta charset="utf-8">${links}<style>
+      html, body { margin: 0; overflow: hidden; background: white; }
+      body { padding: 16px; pointer-events: none; }
+    </style></head><body>${this.html(component)}</body></html>`;
+  }
+
+  /**
+   * Get the headless manager rendering the previews
+   * It shares the component definitions and codecs, but has its own
+   * document, events and IDs, so previews never touch the editor.
+   * @private
+   */
+  _getRenderer() {
+    if (!this.renderer) {
+      const doc = document.implementation.createHTMLDocument("preview");
+      const renderer = new ComponentsManager(new HeadlessEditor(doc));
+      renderer.components = this.manager.components;
+      renderer.categories = this.manager.categories;
+      renderer.codecs = this.manager.codecs;
+      renderer.previews.enabled = false;
+      this.renderer = renderer;
+    }
+    return this.renderer;
+  }
+}
+
+// Export for CommonJS and browser environments
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ComponentPreview };
+} else if (typeof window !== "undefined") {
+  window.ComponentPreview = ComponentPreview;
+}
@@ -0,0 +1,258 @@
+/**
+ * Markup templates for components
+ *
+ * A small, logic-less alternative to building HTML with template strings.
+ * Every value is HTML-escaped unless it is written with triple braces.
+ *
+ * - `{{btnStyle}}`, `{{item.label}}` - escaped value
+ * - `{{{html}}}` - raw value, only for trusted markup
+ * - `{{#if prop}}...{{else}}...{{/if}}`, `{{#unless prop}}...{{/unless}}`
+ * - `{{#each items}}...{{/each}}` - repeat for every array item; inside the
+ *   block `{{this}}` is the item, `{{@index}}`, `{{@first}}` and `{{@last}}`
+ *   describe its position and the item's fields are in scope
+ * - `{{slot "name"}}` - declares a child slot (`data-component-children`),
+ *   `{{slot}}` declares the `default` slot
+ * - `{{id "name"}}` - a new element ID, the same for every use of the name
+ *   within one render (and one loop iteration)
+ */
+class ComponentTemplate {
+  /**
+   * IdService of renders without a manager context, created on first use
+   */
+  static fallbackIds = null;
+
+  /**
+   * Compile a template
+   * @param {string} source - The template
+   * @throws {Error} When the blocks of the template don't match
+   */
+  constructor(source) {
+    this.source = String(source);
+    this.nodes = ComponentTemplate._parse(this.source);
+  }
+
+  /**
+   * Render the template
+   * @param {Object} [props={}] - The property values
+   * @param {Object} [ctx] - The content() context, see ComponentsManager
+   * @returns {string} The HTML
+   */
+  render(props = {}, ctx = {}) {
+    const state = { ctx, ids: new Map(), loop: [] };
+    return this._renderNodes(this.nodes, [props], state);
+  }
+
+  /**
+   * Escape a value for use in HTML text and attribute values
+   * @param {*} value - The value
+   * @returns {string} The escaped string, empty for null and undefined
+   */
+  static escape(value) {
+    if (value === null || value === undefined) return "";
+    return String(value).replace(
+      /[&<>"']/g,
+      (c) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[c])
+    );
+  }
+
+  /**
+   * Build the node tree of a template
+   * @private
+   */
+  static _parse(source) {
+    const root = { children: [] };
+    const stack = [root];
+    const pattern = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+    let last = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    const add = (node) => {
+      const parent = current();
+      (parent.inverse || parent.children).push(node);
+    };
+
+    while ((match = pattern.exec(source))) {
+      if (match.index > last) {
+        add({ type: "text", value: source.slice(last, match.index) });
+      }
+      last = pattern.lastIndex;
+
+      if (match[1] !== undefined) {
+        add({ type: "value", path: match[1], raw: true });
+        continue;
+      }
+
+      const tag = match[2];
+      const [keyword, ...args] = tag.split(/\s+/);
+      const argument = args.join(" ").replace(/^(["'])(.*)\1$/, "$2");
+
+      if (keyword === "#if" || keyword === "#unless" || keyword === "#each") {
+        const block = {
+          type: keyword.slice(1),
+          path: argument,
+          children: [],
+          inverse: null,
+        };
+        add(block);
+        stack.push(block);
+      } else if (keyword === "else") {
+        const block = current();
+        if (block === root || block.inverse) {
+          throw new Error("Unexpected {{else}} in template");
+        }
+        block.inverse = [];
+      } else if (keyword.startsWith("/")) {
+        const block = current();
+        if (block === root || block.type !== keyword.slice(1)) {
+          throw new Error(`Unexpected {{${keyword}}} in template`);
+        }
+        stack.pop();
+      } else if (keyword === "slot") {
+        add({ type: "slot", name: argument || "default" });
+      } else if (keyword === "id") {
+        add({ type: "id", name: argument || "id" });
+      } else {
+        add({ type: "value", path: tag, raw: false });
+      }
+    }
+
+    if (last < source.length) {
+      add({ type: "text", value: source.slice(last) });
+    }
+    if (stack.length > 1) {
+      throw new Error(`Unclosed {{#${current().type}}} in template`);
+    }
+    return root.children;
+  }
+
+  /**
+   * Render a list of nodes
+   * @param {Array<Object>} nodes - The nodes
+   * @param {Array<Object>} scopes - Lookup scopes, innermost last
+   * @param {Object} state - Render state
+   * @private
+   */
+  _renderNodes(nodes, scopes, state) {
+    return nodes
+      .map((node) => {
+        switch (node.type) {
+          case "text":
+            return node.value;
+          case "value": {
+            const value = this._lookup(node.path, scopes);
+            return node.raw
+              ? value === null || value === undefined
+                ? ""
+                : String(value)
+              : ComponentTemplate.escape(value);
+          }
+          case "if":
+          case "unless": {
+            let test = this._lookup(node.path, scopes);
+            if (Array.isArray(test)) test = test.length > 0;
+            const pass = node.type === "if" ? !!test : !test;
+            const branch = pass ? node.children : node.inverse || [];
+            return this._renderNodes(branch, scopes, state);
+          }
+          case "each":
+            return this._renderEach(node, scopes, state);
+          case "slot":
+            return `data-component-children="${ComponentTemplate.escape(
+              node.name
+            )}"`;
+          case "id":
+            return this._id(node.name, state);
+          default:
+            return "";
+        }
+      })
+      .join("");
+  }
+
+  /**
+   * Render an each block
+   * @private
+   */
+  _renderEach(node, scopes, state) {
+    const items = this._lookup(node.path, scopes);
+    if (!Array.isArray(items) || items.length === 0) {
+      return this._renderNodes(node.inverse || [], scopes, state);
+    }
+
+    return items
+      .map((item, index) => {
+        const scope = {
+          ...(item && typeof item === "object" ? item : {}),
+          this: item,
+          "@index": index,
+          "@first": index === 0,
+          "@last": index === items.length - 1,
+        };
+        state.loop.push(index);
+        const html = this._renderNodes(
+          node.children,
+          [...scopes, scope],
+          state
+        );
+        state.loop.pop();
+        return html;
+      })
+      .join("");
+  }
+
+  /**
+   * Resolve a dotted path against the scopes, innermost first
+   * @private
+   */
+  _lookup(path, scopes) {
+    // Only own properties, `{{constructor}}` mustn't reach the prototype
+    const own = (value, key) =>
+      value !== null &&
+      value !== undefined &&
+      Object.prototype.hasOwnProperty.call(value, key);
+    const [head, ...rest] = path.split(".");
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      if (scope && typeof scope === "object" && own(scope, head)) {
+        return rest.reduce(
+          (value, key) => (own(value, key) ? value[key] : undefined),
+          scope[head]
+        );
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Get the element ID for a name in the current render and loop iteration
+   * @private
+   */
+  _id(name, state) {
+    const key = [name, ...state.loop].join(":");
+    if (!state.ids.has(key)) {
+      let ids = state.ctx && state.ctx.ids;
+      if (!ids) {
+        ComponentTemplate.fallbackIds =
+          ComponentTemplate.fallbackIds || new IdService(() => null);
+        ids = ComponentTemplate.fallbackIds;
+      }
+      state.ids.set(key, ids.generate(name));
+    }
+    return ComponentTemplate.escape(state.ids.get(key));
+  }
+}
+
+// Export for CommonJS and browser environments
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ComponentTemplate };
+} else if (typeof window !== "undefined") {
+  window.ComponentTemplate = ComponentTemplate;
+}
@@ -2,18 +2,45 @@
  * Enhanced Component class with property management
  */
 class Component {
+  /**
+   * Current lifecycle API version. Version 2 calls `onUpdate(event)` with a
+   * single ComponentUpdateEvent; version 1 calls
+   * `onUpdate(propName, value, element, prop)`.
+   */
+  static API_VERSION = 2;
+
+  /**
+   * Category of components that don't declare one
+   */
+  static DEFAULT_CATEGORY = "General";
+
   /**
    * Create a new Component
    * @param {Object} config - Component configuration
    * @param {string} config.id - Unique identifier
    * @param {string} config.name - Display name
    * @param {string} config.icon - HTML string for the icon
-   * @param {Function} config.content - Function that returns HTML content
-   * @param {string} config.category - Component category
+   * @param {Function} [config.content] - Function that returns HTML content
+   * @param {string} [config.template] - ComponentTemplate source, used when there is no `content`
+   * @param {string} [config.category] - Component category, `Component.DEFAULT_CATEGORY` when omitted
+   * @param {Array<string>} [config.keywords=[]] - Extra search terms for the components panel and palette
+   * @param {boolean} [config.preview=true] - Show a preview thumbnail in the components panel
+   * @param {boolean} [config.hidden=false] - Leave out of the components panel and palette, e.g. for child-only components
+   * @param {number} [config.order=0] - Position within its category, lower first
+   * @param {string} [config.idPrefix] - Prefix of the instance IDs, `comp` when omitted
+   * @param {Array<string>|Object} [config.allowed] - Component IDs accepted by the slots, as a list or per slot name
+   * @param {Object} [config.rules] - Nesting rules (`slots` allow/deny/min/max, required `parents`)
+   * @param {Object} [config.editable={}] - Mode of each `data-component-editable` region by name: `"text"`, `"inline"` (the default) or `"block"`
+   * @param {string} [config.protection="free"] - `"free"`, `"structure"` (only regions and slots are editable) or `"locked"`
+   * @param {boolean} [config.rerender=false] - Regenerate the markup from `content` on every property change
+   * @param {number|string} [config.apiVersion=1] - Lifecycle API version the callbacks are written against, `"1-editor"` for a v1 `onUpdate(editor, element, props)`
+   * @param {number} [config.version] - Schema version of the component's markup and properties
+   * @param {Array<Function>} [config.migrations=[]] - `migrate(element, fromVersion, context)` steps, `migrations[0]` upgrades version 1 to 2
    * @param {Function} [config.onInsert] - Called when component is inserted into DOM
    * @param {Function} [config.onUpdate] - Called when component properties are updated
    * @param {Function} [config.onFocus] - Called when component node is focused
    * @param {Function} [config.onRemove] - Called before component is removed
+   * @param {Function} [config.onRebind] - Called for live instances when replace() swaps in this definition
    * @param {Array<PropertyDefinition>} [config.properties=[]] - Component properties
    */
   constructor({
@@ -21,30 +48,59 @@ class Component {
     name,
     icon,
     content,
+    template,
     editorStyle,
     category,
+    keywords = [],
+    preview = true,
+    hidden = false,
+    order = 0,
+    idPrefix,
+    rerender = false,
+    editable = {},
+    protection = "free",
+    apiVersion,
+    version,
+    migrations = [],
     restriction,
     onInsert,
     onUpdate,
     onRemove,
     onFocus,
+    onRebind,
     properties = {},
     children = {},
+    allowed = null,
+    rules = {},
   }) {
-    if (!id || !name || !content) {
-      throw new Error("Component requires id, name, and content");
+    if (!id || !name || (!content && !template)) {
+      throw new Error("Component requires id, name, and content or template");
     }
 
     // Core properties
     this.id = id;
     this.name = name;
     this.icon = icon || "";
-    this.content = content;
+    this.template = template ? new ComponentTemplate(template) : null;
+    this.content =
+      content || ((props, ctx) => this.template.render(props, ctx));
     this.editorStyle = editorStyle || "";
-    this.category = category || "general";
+    this.category = category || Component.DEFAULT_CATEGORY;
+    this.keywords = keywords || []; // search terms besides name, ID and category
+    this.preview = preview !== false; // thumbnail in the components panel
+    this.hidden = Boolean(hidden); // not listed, still insertable as a child
+    this.order = order || 0; // position within its category
+    this.idPrefix = idPrefix || null;
     this.properties = properties || {};
-    this.allowed = []; // allow child components inside parent
+    this.allowed = allowed; // allow child components inside parent
+    this.rules = rules || {}; // { slots: { default: { allow, deny, min, max } }, parents: [] }
     this.children = children; // { "id": "button", "count": 3 }
+    this.rerender = Boolean(rerender); // regenerate from content() on changes
+    this.editable = editable || {}; // { regionName: "text" | "inline" | "block" }
+    this.protection = protection || "free"; // "free" | "structure" | "locked"
+    this.apiVersion = apiVersion || 1;
+    this.migrations = migrations || []; // one step per version bump, oldest first
+    this.version = version || this.migrations.length + 1;
 
     // Lifecycle methods
     this.restriction = restriction || (() => true); // Default restriction allows dropping anywhere
@@ -52,6 +108,7 @@ class Component {
     this.onUpdate = onUpdate || (() => {});
     this.onFocus = onFocus || (() => {});
     this.onRemove = onRemove || (() => {});
+    this.onRebind = onRebind || (() => {});
   }
 }
 
@@ -0,0 +1,103 @@
+/**
+ * Event emitter for the Components Manager lifecycle
+ *
+ * Handlers receive a single event object holding the event `type`, the
+ * event's details and `preventDefault()`. Calling `preventDefault()` in a
+ * handler of a cancellable (`before*`) event stops the operation.
+ */
+class EventBus {
+  /**
+   * Create an emitter without handlers
+   */
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Add an event handler
+   * @param {string} type - Event name, e.g. `component:inserted`, or `*` for every event
+   * @param {Function} handler - Called with the event object
+   * @returns {Function} Removes the handler again
+   */
+  on(type, handler) {
+    if (typeof handler !== "function") {
+      console.error(`Handler for "${type}" must be a function`);
+      return () => {};
+    }
+    if (!this.handlers.has(type)) this.handlers.set(type, []);
+    this.handlers.get(type).push(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Add a handler that is removed after its first call
+   * @param {string} type - Event name
+   * @param {Function} handler - Called with the event object
+   * @returns {Function} Removes the handler again
+   */
+  once(type, handler) {
+    const wrapper = (event) => {
+      this.off(type, wrapper);
+      handler(event);
+    };
+    return this.on(type, wrapper);
+  }
+
+  /**
+   * Remove an event handler, or every handler of an event
+   * @param {string} type - Event name
+   * @param {Function} [handler] - The handler to remove
+   */
+  off(type, handler) {
+    if (!handler) {
+      this.handlers.delete(type);
+      return;
+    }
+    const list = this.handlers.get(type);
+    if (list) {
+      this.handlers.set(
+        type,
+        list.filter((h) => h !== handler)
+      );
+    }
+  }
+
+  /**
+   * Call the handlers of an event
+   * A throwing handler is logged and doesn't stop the others.
+   * @param {string} type - Event name
+   * @param {Object} [detail={}] - Event details
+   * @param {Object} [options]
+   * @param {boolean} [options.cancelable=false] - Whether handlers may cancel the operation
+   * @returns {Object} The event object, check `defaultPrevented` for cancellable events
+   */
+  emit(type, detail = {}, { cancelable = false } = {}) {
+    const event = {
+      ...detail,
+      type,
+      cancelable,
+      defaultPrevented: false,
+      preventDefault() {
+        if (this.cancelable) this.defaultPrevented = true;
+      },
+    };
+
+    [...(this.handlers.get(type) || []), ...(this.handlers.get("*") || [])]
+      .forEach((handler) => {
+        try {
+          handler(event);
+        } catch (error) {
+          console.error(`Error in "${type}" handler:`, error);
+        }
+      });
+
+    return event;
+  }
+}
+
+// Export for CommonJS and browser environments
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { EventBus };
+} else if (typeof window !== "undefined") {
+  window.EventBus = EventBus;
+}
@@ -0,0 +1,126 @@
+/**
+ * Minimal stand-in for a TinyMCE editor
+ * Lets the Components Manager run without TinyMCE, e.g. behind a custom
+ * sidebar or in a jsdom script that generates pages. It implements only
+ * the parts of the editor API the manager core uses.
+ */
+class HeadlessEditor {
+  /**
+   * Create a headless editor working on a document's body
+   * @param {Document} [doc=document] - The document holding the content
+   */
+  constructor(doc = document) {
+    this.headless = true;
+    this.doc = doc;
+    this.handlers = new Map();
+
+    this.dom = {
+      select: (selector) => Array.from(this.doc.querySelectorAll(selector)),
+      getStyle: (element, name) =>
+        element.style.getPropertyValue(HeadlessEditor._cssName(name)),
+      setStyle: (element, name, value) => {
+        if (value === "" || value === null || value === undefined) {
+          element.style.removeProperty(HeadlessEditor._cssName(name));
+        } else {
+          element.style.setProperty(HeadlessEditor._cssName(name), value);
+        }
+      },
+    };
+  }
+
+  /**
+   * Get the content document
+   * @returns {Document} The document
+   */
+  getDoc() {
+    return this.doc;
+  }
+
+  /**
+   * Get the content root
+   * @returns {HTMLElement} The body element
+   */
+  getBody() {
+    return this.doc.body;
+  }
+
+  /**
+   * Get the content as HTML
+   * @returns {string} The body's HTML
+   */
+  getContent() {
+    return this.doc.body.innerHTML;
+  }
+
+  /**
+   * Replace the content, firing SetContent like TinyMCE does
+   * @param {string} html - The new content
+   */
+  setContent(html) {
+    this.doc.body.innerHTML = html;
+    this.fire("SetContent", { content: html });
+  }
+
+  /**
+   * Add an event handler
+   * @param {string} names - Space separated event names
+   * @param {Function} callback - The handler
+   */
+  on(names, callback) {
+    names.split(" ").forEach((name) => {
+      const key = name.toLowerCase();
+      if (!this.handlers.has(key)) this.handlers.set(key, []);
+      this.handlers.get(key).push(callback);
+    });
+  }
+
+  /**
+   * Remove an event handler
+   * @param {string} names - Space separated event names
+   * @param {Function} callback - The handler
+   */
+  off(names, callback) {
+    names.split(" ").forEach((name) => {
+      const list = this.handlers.get(name.toLowerCase());
+      if (list) {
+        this.handlers.set(
+          name.toLowerCase(),
+          list.filter((handler) => handler !== callback)
+        );
+      }
+    });
+  }
+
+  /**
+   * Call the handlers of an event
+   * @param {string} name - The event name
+   * @param {Object} [args={}] - The event object
+   * @returns {Object} The event object
+   */
+  fire(name, args = {}) {
+    (this.handlers.get(name.toLowerCase()) || []).forEach((handler) =>
+      handler(args)
+    );
+    return args;
+  }
+
+  /**
+   * No selection to track without an editing UI
+   */
+  nodeChanged() {}
+
+  /**
+   * Convert a camelCase style name to its CSS form
+   * @private
+   */
+  static _cssName(name) {
+    return name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+  }
+}
+
+// Export for CommonJS and browser environments
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { HeadlessEditor };
+} else if (typeof window !== "undefined") {
+  window.HeadlessEditor = HeadlessEditor;
+}
@@ -0,0 +1,188 @@
+/**
+ * ID generator for component instances and the element IDs in their markup
+ *
+ * IDs look like `${prefix}-${suffix}` with a 9 character base36 suffix. An ID
+ * already used in the document, or handed out recently, is never returned
+ * again; handed out IDs that never reached the document are forgotten once
+ * more than `ISSUED_LIMIT` pile up. With a seed the suffixes come from a
+ * seeded generator, so snapshot tests and server renders produce the same
+ * IDs on every run.
+ */
+class IdService {
+  /**
+   * Number of handed out IDs remembered before those not in the document
+   * are forgotten
+   */
+  static ISSUED_LIMIT = 1000;
+
+  /**
+   * Create an ID service
+   * @param {Function} getDocument - Returns the document to check for collisions
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - Seed for deterministic IDs
+   */
+  constructor(getDocument, { seed } = {}) {
+    this.getDocument = getDocument;
+    this.prefixes = new Map(); // component ID -> instance ID prefix
+    this.issued = new Set(); // IDs handed out, possibly not in the document yet
+    this.random = Math.random;
+    if (seed !== undefined && seed !== null) this.seed(seed);
+  }
+
+  /**
+   * Switch to deterministic IDs
+   * Also forgets the IDs handed out so far, so the same seed and the same
+   * sequence of calls give the same IDs.
+   * @param {number|string|null} seed - The seed, or null to go back to Math.random
+   */
+  seed(seed) {
+    this.issued.clear();
+    if (seed === null || seed === undefined) {
+      this.random = Math.random;
+      return;
+    }
+    this.random = IdService._seededRandom(IdService._hash(String(seed)));
+  }
+
+  /**
+   * Generate an ID that isn't used yet
+   * @param {string} [prefix="id"] - Readable start of the ID, e.g. `tab`
+   * @returns {string} The ID
+   */
+  generate(prefix = "id") {
+    let id;
+    do {
+      id = `${prefix}-${this._suffix()}`;
+    } while (this.exists(id));
+
+    this.issued.add(id);
+    if (this.issued.size > IdService.ISSUED_LIMIT) this._prune();
+    return id;
+  }
+
+  /**
+   * Generate an instance ID for a component
+   * Uses the prefix set with setPrefix(), the component's `idPrefix` or `comp`.
+   * @param {Component} [component] - The component
+   * @returns {string} The instance ID
+   */
+  instanceId(component) {
+    const prefix =
+      (component && this.prefixes.get(component.id)) ||
+      (component && component.idPrefix) ||
+      "comp";
+    return this.generate(prefix);
+  }
+
+  /**
+   * Set the instance ID prefix of a component
+   * @param {string} componentId - The component ID
+   * @param {string|null} prefix - The prefix, or null for the default
+   */
+  setPrefix(componentId, prefix) {
+    if (prefix) {
+      this.prefixes.set(componentId, prefix);
+    } else {
+      this.prefixes.delete(componentId);
+    }
+  }
+
+  /**
+   * Check whether an ID is taken, as element ID or instance ID
+   * @param {string} id - The ID
+   * @returns {boolean} Whether the ID is in use
+   */
+  exists(id) {
+    if (this.issued.has(id)) return true;
+
+    const doc = this.getDocument && this.getDocument();
+    if (!doc) return false;
+    if (doc.getElementById(id)) return true;
+    return Array.from(doc.querySelectorAll("[data-instance-id]")).some(
+      (element) => element.getAttribute("data-instance-id") === id
+    );
+  }
+
+  /**
+   * Get the readable start of an ID in this service's format
+   * The suffix is dropped when this service handed the ID out, or when it
+   * looks generated (9 base36 characters with a digit). Other IDs
+   * (`main-content`, `intro`) are returned whole.
+   * @param {string} id - The ID, e.g. `tab-k3j9x0a1b`
+   * @returns {string} The prefix, e.g. `tab`
+   */
+  prefixOf(id) {
+    const match = /^(.+)-([a-z0-9]{9})$/.exec(id);
+    if (!match) return id;
+    return this.issued.has(id) || /[0-9]/.test(match[2]) ? match[1] : id;
+  }
+
+  /**
+   * Forget the older half of the handed out IDs, except those now in the
+   * document
+   * The newer half stays, it may belong to markup that isn't inserted yet.
+   * @private
+   */
+  _prune() {
+    const doc = this.getDocument && this.getDocument();
+    const used = new Set();
+    if (doc) {
+      doc.querySelectorAll("[id], [data-instance-id]").forEach((element) => {
+        if (element.id) used.add(element.id);
+        const instanceId = element.getAttribute("data-instance-id");
+        if (instanceId) used.add(instanceId);
+      });
+    }
+
+    let count = this.issued.size - Math.floor(IdService.ISSUED_LIMIT / 2);
+    for (const id of this.issued) {
+      if (count-- <= 0) break;
+      if (!used.has(id)) this.issued.delete(id);
+    }
+  }
+
+  /**
+   * Random base36 suffix
+   * @private
+   */
+  _suffix() {
+    let suffix = "";
+    while (suffix.length < 9) {
+      suffix += Math.floor(this.random() * 36).toString(36);
+    }
+    return suffix;
+  }
+
+  /**
+   * Turn a string seed into a 32-bit number
+   * @private
+   */
+  static _hash(value) {
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+      hash = Math.imul(hash ^ value.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Small seeded generator (mulberry32) returning numbers in [0, 1)
+   * @private
+   */
+  static _seededRandom(seed) {
+    let state = seed;
+    return () => {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+// Export for CommonJS and browser environments
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { IdService };
+} else if (typeof window !== "undefined") {
+  window.IdService = IdService;
+}
@@ -0,0 +1,288 @@
+/**
+ * Nesting rules engine for the Components Manager
+ * Decides whether a component may be placed at a given spot in the editor
+ * and explains why when it may not
+ *
+ * Rules come from two places on a component definition:
+ * - `allowed` - component IDs accepted by the component's slots, either as an
+ *   array (every slot) or as a map of slot name to IDs
+ * - `rules` - the full form:
+ *   ```
+ *   rules: {
+ *     slots: {
+ *       default: { allow: ["button", "category:Basic"], deny: ["modal"], min: 1, max: 5 },
+ *       "*": { deny: ["layers-container"] }  // applies to every slot
+ *     },
+ *     parents: ["row"]  // components this one must be placed inside
+ *   }
+ *   ```
+ *
+ * Patterns match a component ID, `"*"` for any component, or
+ * `"category:Name"` for every component of a category (and its subcategories).
+ */
+class NestingRules {
+  /**
+   * Create a new rules engine
+   * @param {ComponentsManager} manager - The manager owning the components
+   */
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  /**
+   * Check whether a component can be placed inside a target element
+   * @param {Component} component - The component being placed
+   * @param {Node} target - The element (or text node) it is placed into
+   * @param {Object} [options]
+   * @param {HTMLElement} [options.moving] - Existing instance being moved, if any
+   * @returns {{valid: boolean, reason: string|null}} The verdict
+   */
+  check(component, target, { moving = null } = {}) {
+    if (!component) {
+      return this._reject("Unknown component");
+    }
+
+    if (target && target.nodeType === Node.TEXT_NODE) {
+      target = target.parentNode;
+    }
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) {
+      return this._reject(`${component.name} has no valid drop target`);
+    }
+
+    // A component can't be moved inside itself
+    if (moving && (moving === target || moving.contains(target))) {
+      return this._reject(`${component.name} can't be moved inside itself`);
+    }
+
+    const slot = this.resolveSlot(target);
+
+    if (slot && slot.owner) {
+      const slotRules = this.getSlotRules(slot.owner, slot.name);
+      const ownerName = slot.owner.name;
+
+      if (slotRules.deny.some((p) => this.matches(p, component))) {
+        return this._reject(
+          `${component.name} is not allowed in ${ownerName} (${slot.name})`
+        );
+      }
+
+      if (
+        slotRules.allow &&
+        !slotRules.allow.some((p) => this.matches(p, component))
+      ) {
+        return this._reject(
+          `${ownerName} (${slot.name}) only accepts ${this._describe(
+            slotRules.allow
+          )}`
+        );
+      }
+
+      // Moving within the same slot doesn't change the child count
+      const sameSlot = moving && moving.parentNode === slot.element;
+      if (
+        slotRules.max !== null &&
+        !sameSlot &&
+        this.countChildren(slot.element, moving) >= slotRules.max
+      ) {
+        return this._reject(
+          `${ownerName} (${slot.name}) accepts at most ${slotRules.max} components`
+        );
+      }
+    }
+
+    // Moving out of a slot must not leave it with fewer than its minimum
+    if (moving) {
+      const source = this.resolveSlot(moving.parentNode);
+      if (
+        source &&
+        source.owner &&
+        (!slot || source.element !== slot.element)
+      ) {
+        const sourceRules = this.getSlotRules(source.owner, source.name);
+        if (
+          sourceRules.min !== null &&
+          this.countChildren(source.element, moving) < sourceRules.min
+        ) {
+          return this._reject(
+            `${source.owner.name} (${source.name}) needs at least ${sourceRules.min} components`
+          );
+        }
+      }
+    }
+
+    // Required parents
+    const parents = (component.rules && component.rules.parents) || null;
+    if (parents && parents.length) {
+      const parentComponent = slot
+        ? slot.owner
+        : this._closestComponent(target);
+      if (
+        !parentComponent ||
+        !parents.some((p) => this.matches(p, parentComponent))
+      ) {
+        return this._reject(
+          `${component.name} must be placed inside ${this._describe(parents)}`
+        );
+      }
+    }
+
+    // Legacy restriction callback
+    if (
+      typeof component.restriction === "function" &&
+      !component.restriction(target, component)
+    ) {
+      return this._reject(`${component.name} can't be placed here`);
+    }
+
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Find the component slot a target element belongs to
+   * Stops at the first component boundary: content of a child component
+   * that has no slot of its own is not part of the parent's slot.
+   * @param {HTMLElement} target - The element to resolve
+   * @returns {{element: HTMLElement, name: string, owner: Component|null}|null}
+   */
+  resolveSlot(target) {
+    let el = target;
+    while (el && el.nodeType === Node.ELEMENT_NODE) {
+      if (el.hasAttribute("data-component-children")) {
+        const ownerElement = el.closest("[data-component]");
+        return {
+          element: el,
+          name: el.getAttribute("data-component-children"),
+          owner: ownerElement
+            ? this.manager.getComponent(
+                ownerElement.getAttribute("data-component")
+              )
+            : null,
+        };
+      }
+      if (el.hasAttribute("data-component")) {
+        return null;
+      }
+      el = el.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * Get the merged rules of one slot of a component
+   * @param {Component} component - The slot owner
+   * @param {string} slotName - The `data-component-children` name
+   * @returns {{allow: Array<string>|null, deny: Array<string>, min: number|null, max: number|null}}
+   */
+  getSlotRules(component, slotName) {
+    const result = { allow: null, deny: [], min: null, max: null };
+    if (!component) return result;
+
+    // `allowed` as a list applies to every slot, as a map to a single one
+    const allowed = component.allowed;
+    if (Array.isArray(allowed)) {
+      result.allow = [...allowed];
+    } else if (allowed && typeof allowed === "object") {
+      const slotAllowed = allowed[slotName];
+      if (slotAllowed !== undefined && slotAllowed !== null) {
+        result.allow = this._toList(slotAllowed);
+      }
+    }
+
+    const slots = (component.rules && component.rules.slots) || {};
+    [slots["*"], slots[slotName]].forEach((rule) => {
+      if (!rule) return;
+      if (rule.allow) {
+        result.allow = (result.allow || []).concat(this._toList(rule.allow));
+      }
+      if (rule.deny) {
+        result.deny = result.deny.concat(this._toList(rule.deny));
+      }
+      if (typeof rule.min === "number") result.min = rule.min;
+      if (typeof rule.max === "number") result.max = rule.max;
+    });
+
+    return result;
+  }
+
+  /**
+   * Check a pattern against a component
+   * @param {string} pattern - Component ID, `"*"` or `"category:Name"`
+   * @param {Component} component - The component to test
+   * @returns {boolean} Whether the pattern matches
+   */
+  matches(pattern, component) {
+    if (!component) return false;
+    if (pattern === "*") return true;
+    if (typeof pattern === "string" && pattern.startsWith("category:")) {
+      const category = pattern.slice("category:".length);
+      const own = component.category || Component.DEFAULT_CATEGORY;
+      return own === category || own.startsWith(`${category}/`);
+    }
+    return pattern === component.id;
+  }
+
+  /**
+   * Count the component instances directly inside a slot
+   * @param {HTMLElement} slotElement - The slot container
+   * @param {HTMLElement} [exclude] - An instance to leave out of the count
+   * @returns {number} The number of child components
+   */
+  countChildren(slotElement, exclude = null) {
+    return Array.from(slotElement.children).filter(
+      (child) => child.hasAttribute("data-component") && child !== exclude
+    ).length;
+  }
+
+  /**
+   * Find the closest component definition above an element
+   * @private
+   */
+  _closestComponent(element) {
+    const componentElement = element.closest("[data-component]");
+    return componentElement
+      ? this.manager.getComponent(componentElement.getAttribute("data-component"))
+      : null;
+  }
+
+  /**
+   * Normalize an allow/deny value (string, array or map of IDs) to a list
+   * @private
+   */
+  _toList(value) {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === "object") return Object.values(value);
+    return [value];
+  }
+
+  /**
+   * Turn a list of patterns into a readable phrase
+   * @private
+   */
+  _describe(patterns) {
+    return patterns
+      .map((pattern) => {
+        if (pattern === "*") return "any component";
+        if (pattern.startsWith("category:")) {
+          return `${pattern.slice("category:".length)} components`;
+        }
+        const component = this.manager.getComponent(pattern);
+        return component ? component.name : pattern;
+      })
+      .join(", ");
+  }
+
+  /**
+   * Build a rejection verdict
+   * @private
+   */
+  _reject(reason) {
+    return { valid: false, reason };
+  }
+}
+
+// Export for CommonJS and browser environments
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { NestingRules };
+} else if (typeof window !== "undefined") {
+  window.NestingRules = NestingRules;
+}
@@ -0,0 +1,191 @@
+/**
+ * Property codecs for the Components Manager
+ * Convert property values to and from their `data-prop-*` attribute strings
+ *
+ * A codec is an object with:
+ * - `encode(value, prop, context)` - returns the attribute string
+ * - `decode(raw, prop, context)` - returns the value, may throw on bad input
+ * - `validate(value, prop, context)` - optional, returns whether a decoded value is acceptable
+ * - `migrate(raw, prop, context)` - optional, decodes values written by the
+ *   old string-only serialization when `decode` rejects them
+ *
+ * `context` is `{ manager, element }` for the component being read or written.
+ */
+class PropertyCodecs {
+  /**
+   * Create a codec registry holding the built-in codecs
+   */
+  constructor() {
+    this.codecs = new Map(Object.entries(PropertyCodecs.defaults));
+  }
+
+  /**
+   * Register or replace a codec
+   * @param {string} name - Codec name used by a property's `codec` option
+   * @param {Object} codec - The codec
+   * @returns {boolean} Whether the codec was registered
+   */
+  register(name, codec) {
+    if (
+      typeof name !== "string" ||
+      !codec ||
+      typeof codec.encode !== "function" ||
+      typeof codec.decode !== "function"
+    ) {
+      console.error("A codec needs a name, encode() and decode()");
+      return false;
+    }
+    this.codecs.set(name, codec);
+    return true;
+  }
+
+  /**
+   * Get the codec for a property definition
+   * Uses the property's `codec` option, else infers it from the field type
+   * and the type of the default value.
+   * @param {Object} prop - The property definition
+   * @returns {Object} The codec
+   */
+  resolve(prop = {}) {
+    if (prop.codec && typeof prop.codec === "object") {
+      return prop.codec;
+    }
+    if (typeof prop.codec === "string") {
+      if (this.codecs.has(prop.codec)) return this.codecs.get(prop.codec);
+      console.warn(`Unknown property codec "${prop.codec}", using string`);
+      return this.codecs.get("string");
+    }
+
+    if (prop.type === "number") return this.codecs.get("number");
+    if (prop.type === "checkbox") return this.codecs.get("boolean");
+
+    const fallback = prop.default;
+    if (typeof fallback === "number") return this.codecs.get("number");
+    if (typeof fallback === "boolean") return this.codecs.get("boolean");
+    if (Array.isArray(fallback)) return this.codecs.get("array");
+    if (fallback instanceof Date) return this.codecs.get("date");
+    if (fallback && typeof fallback === "object") return this.codecs.get("json");
+
+    return this.codecs.get("string");
+  }
+
+  /**
+   * Decode and validate an attribute value
+   * @param {string} raw - The attribute value
+   * @param {Object} prop - The property definition
+   * @param {Object} [context] - `{ manager, element }`
+   * @returns {{value: *, valid: boolean, migrated: boolean}} The decoded value,
+   *   or the property's default when it can't be read
+   */
+  read(raw, prop = {}, context = {}) {
+    const codec = this.resolve(prop);
+    const accept = (value) =>
+      value !== undefined &&
+      (typeof codec.validate !== "function" ||
+        codec.validate(value, prop, context));
+
+    let value;
+    try {
+      value = codec.decode(raw, prop, context);
+    } catch (error) {
+      value = undefined;
+    }
+    if (accept(value)) {
+      return { value, valid: true, migrated: false };
+    }
+
+    if (typeof codec.migrate === "function") {
+      try {
+        value = codec.migrate(raw, prop, context);
+      } catch (error) {
+        value = undefined;
+      }
+      if (accept(value)) {
+        return { value, valid: true, migrated: true };
+      }
+    }
+
+    return { value: prop.default, valid: false, migrated: false };
+  }
+
+  /**
+   * Encode a value for its attribute
+   * @param {*} value - The property value
+   * @param {Object} prop - The property definition
+   * @param {Object} [context] - `{ manager, element }`
+   * @returns {string} The attribute value
+   */
+  write(value, prop = {}, context = {}) {
+    return this.resolve(prop).encode(value, prop, context);
+  }
+}
+
+/**
+ * Built-in codecs
+ */
+PropertyCodecs.defaults = {
+  string: {
+    encode: (value) => String(value),
+    decode: (raw) => raw,
+  },
+
+  number: {
+    encode: (value) => String(value),
+    decode: (raw) => {
+      if (raw === null || String(raw).trim() === "") return undefined;
+      return Number(raw);
+    },
+    validate: (value) => typeof value === "number" && Number.isFinite(value),
+  },
+
+  boolean: {
+    encode: (value) => (value ? "true" : "false"),
+    decode: (raw) => {
+      if (raw === "true") return true;
+      if (raw === "false") return false;
+      return undefined;
+    },
+    // Older documents could hold anything String() produced
+    migrate: (raw) => raw !== "" && raw !== "0" && raw !== "null",
+  },
+
+  json: {
+    encode: (value) => JSON.stringify(value),
+    decode: (raw) => JSON.parse(raw),
+    validate: (value) =>
+      value !== null && typeof value === "object" && !Array.isArray(value),
+  },
+
+  array: {
+    encode: (value) => JSON.stringify(value),
+    decode: (raw) => JSON.parse(raw),
+    validate: (value) => Array.isArray(value),
+    // String([1, 2]) used to be stored as "1,2"
+    migrate: (raw) =>
+      raw === "" ? [] : String(raw).split(",").map((item) => item.trim()),
+  },
+
+  date: {
+    encode: (value) => {
+      const date = value instanceof Date ? value : new Date(value);
+      return isNaN(date.getTime()) ? "" : date.toISOString();
+    },
+    decode: (raw) => (raw ? new Date(raw) : undefined),
+    validate: (value) => value instanceof Date && !isNaN(value.getTime()),
+  },
+
+  // Instance ID of another component, kept when that one is removed
+  reference: {
+    encode: (value) =>
+      value === null || value === undefined ? "" : String(value),
+    decode: (raw) => raw || null,
+    validate: (value) => value === null || typeof value === "string",
+  },
+};
+
+// Export for CommonJS and browser environments
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { PropertyCodecs };
+} else if (typeof window !== "undefined") {
+  window.PropertyCodecs = PropertyCodecs;
+}